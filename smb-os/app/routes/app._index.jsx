@@ -13,7 +13,7 @@ export const loader = async ({ request }) => {
     include: {
       _count: {
         select: {
-          products: true,
+          products: { where: { deletedAt: null } },
           customers: true,
           orders: true
         }
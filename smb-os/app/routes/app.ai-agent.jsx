@@ -19,12 +19,13 @@ import { authenticate } from "../shopify.server";
 import { AIProductGenerator } from "../services/ai-product-generator.server.js";
 import { useState } from "react";
 import { trackFeatureUsage } from "../services/analytics.server.js";
+import { AdminGraphQLClient, ShopifyUserError } from "../services/admin-graphql.server.js";
 
 export const loader = async ({ request }) => {
   const { admin, session } = await authenticate.admin(request);
   
   // Get collections for the dropdown
-  const collectionsQuery = await admin.graphql(`
+  const collectionsData = await new AdminGraphQLClient(admin, session.shop).request(`
     query getCollections {
       collections(first: 50) {
         edges {
@@ -38,8 +39,7 @@ export const loader = async ({ request }) => {
     }
   `);
   
-  const collectionsData = await collectionsQuery.json();
-  const collections = collectionsData.data.collections.edges.map(edge => ({
+  const collections = collectionsData.collections.edges.map(edge => ({
     id: edge.node.id,
     title: edge.node.title,
     handle: edge.node.handle
@@ -73,7 +73,7 @@ export const action = async ({ request }) => {
     const productData = await aiGenerator.parseUserPrompt(userPrompt, selectedCollection);
     
     // Create the product in Shopify
-    const createdProduct = await createProduct(admin, productData);
+    const createdProduct = await createProduct(admin, session.shop, productData);
     
     // Track successful product creation
     await trackFeatureUsage(session.shop, 'product_created_via_ai', {
@@ -105,12 +105,12 @@ export const action = async ({ request }) => {
 };
 
 // Create product in Shopify using GraphQL
-async function createProduct(admin, productData) {
+async function createProduct(admin, shopDomain, productData) {
   console.log(`🛍️ Creating product: ${productData.title} with price: $${productData.price}`);
   
   try {
     // Use GraphQL to create product
-    const createProductMutation = await admin.graphql(`
+    const result = await new AdminGraphQLClient(admin, shopDomain).request(`
       mutation productCreate($input: ProductInput!) {
         productCreate(input: $input) {
           product {
@@ -148,13 +148,7 @@ async function createProduct(admin, productData) {
       }
     });
     
-    const result = await createProductMutation.json();
-    
-    if (result.data.productCreate.userErrors.length > 0) {
-      throw new Error(`Failed to create product: ${result.data.productCreate.userErrors[0].message}`);
-    }
-    
-    const product = result.data.productCreate.product;
+    const product = result.productCreate.product;
     console.log(`✅ Product created successfully: ${productData.title} (ID: ${product.id})`);
     console.log(`🔍 Product variants:`, JSON.stringify(product.variants, null, 2));
     
@@ -179,6 +173,9 @@ async function createProduct(admin, productData) {
     
   } catch (error) {
     console.error('Failed to create product:', error);
+    if (error instanceof ShopifyUserError) {
+      throw new Error(`Failed to create product: ${error.userErrors[0].message}`);
+    }
     throw new Error(`Failed to create product: ${error.message}`);
   }
 }
@@ -0,0 +1,402 @@
+import { json } from "@remix-run/node";
+import { useLoaderData, useActionData, useNavigation, Form } from "@remix-run/react";
+import { useState } from "react";
+import {
+  Page,
+  Layout,
+  Card,
+  Text,
+  BlockStack,
+  InlineStack,
+  TextField,
+  Button,
+  Banner,
+  Badge,
+  Select
+} from "@shopify/polaris";
+import { authenticate } from "../shopify.server";
+import {
+  getAnalyticsConnection,
+  saveAnalyticsConnection,
+  disconnectAnalytics,
+  testGa4Connection,
+  testSearchConsoleConnection
+} from "../services/analytics-connections.server.js";
+import {
+  getChannelGroupRules,
+  createChannelGroupRule,
+  deleteChannelGroupRule,
+  reclassifyChannelGroups,
+  RULE_FIELDS,
+  RULE_MATCH_TYPES
+} from "../services/channel-groups.server.js";
+import { findShopId } from "../services/shops.server.js";
+
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const shopId = await findShopId(session.shop);
+
+  return json({
+    shop: session.shop,
+    connection: await getAnalyticsConnection(shopId),
+    channelGroupRules: await getChannelGroupRules(shopId),
+    ruleFields: RULE_FIELDS,
+    ruleMatchTypes: RULE_MATCH_TYPES
+  });
+};
+
+export const action = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const formData = await request.formData();
+  const intent = formData.get("intent");
+
+  try {
+    const shopId = await findShopId(session.shop);
+
+    switch (intent) {
+      case "save_ga4":
+      case "save_search_console": {
+        const existing = await getAnalyticsConnection(shopId);
+        // Each form only submits its own service, keep the other one as it is
+        await saveAnalyticsConnection(shopId, intent === "save_ga4"
+          ? {
+              ga4PropertyId: formData.get("ga4PropertyId"),
+              ga4ServiceAccount: formData.get("ga4ServiceAccount"),
+              bigQueryProjectId: formData.get("bigQueryProjectId"),
+              bigQueryDatasetId: formData.get("bigQueryDatasetId"),
+              searchConsoleSiteUrl: existing?.searchConsoleSiteUrl
+            }
+          : {
+              ga4PropertyId: existing?.ga4PropertyId,
+              bigQueryProjectId: existing?.bigQueryProjectId,
+              bigQueryDatasetId: existing?.bigQueryDatasetId,
+              searchConsoleSiteUrl: formData.get("searchConsoleSiteUrl"),
+              searchConsoleServiceAccount: formData.get("searchConsoleServiceAccount")
+            });
+
+        // Validate right away so the merchant sees whether the settings work
+        const result = intent === "save_ga4"
+          ? await testGa4Connection(shopId)
+          : await testSearchConsoleConnection(shopId);
+        return json({ intent, ...result });
+      }
+
+      case "test_ga4":
+        return json({ intent, ...(await testGa4Connection(shopId)) });
+
+      case "test_search_console":
+        return json({ intent, ...(await testSearchConsoleConnection(shopId)) });
+
+      case "disconnect_ga4":
+      case "disconnect_search_console":
+        await disconnectAnalytics(shopId, intent === "disconnect_ga4" ? "ga4" : "searchConsole");
+        return json({ intent, success: true, message: "Disconnected" });
+
+      case "add_channel_rule":
+      case "delete_channel_rule":
+      case "reclassify_channel_groups": {
+        if (intent === "add_channel_rule") {
+          await createChannelGroupRule(shopId, {
+            channelGroup: formData.get("channelGroup"),
+            field: formData.get("field"),
+            matchType: formData.get("matchType"),
+            value: formData.get("value")
+          });
+        } else if (intent === "delete_channel_rule") {
+          await deleteChannelGroupRule(shopId, parseInt(formData.get("ruleId")));
+        }
+
+        // Stored traffic keeps the groups it was imported with until it's reclassified
+        const updated = await reclassifyChannelGroups(shopId);
+        const change = { add_channel_rule: "Rule added. ", delete_channel_rule: "Rule removed. " }[intent] ?? "";
+        return json({ intent, success: true, message: `${change}Reclassified ${updated} stored traffic rows` });
+      }
+
+      default:
+        return json({ intent, success: false, message: "Invalid action" }, { status: 400 });
+    }
+  } catch (error) {
+    console.error("Analytics settings action failed:", error);
+    return json({ intent, success: false, message: error.message }, { status: 400 });
+  }
+};
+
+export default function AnalyticsSettings() {
+  const { connection, channelGroupRules, ruleFields, ruleMatchTypes } = useLoaderData();
+  const actionData = useActionData();
+  const navigation = useNavigation();
+  const busyIntent = navigation.state !== "idle" ? navigation.formData?.get("intent") : null;
+
+  const [ga4PropertyId, setGa4PropertyId] = useState(connection?.ga4PropertyId || "");
+  const [ga4ServiceAccount, setGa4ServiceAccount] = useState("");
+  const [bigQueryProjectId, setBigQueryProjectId] = useState(connection?.bigQueryProjectId || "");
+  const [bigQueryDatasetId, setBigQueryDatasetId] = useState(connection?.bigQueryDatasetId || "");
+  const [searchConsoleSiteUrl, setSearchConsoleSiteUrl] = useState(connection?.searchConsoleSiteUrl || "");
+  const [searchConsoleServiceAccount, setSearchConsoleServiceAccount] = useState("");
+  const [ruleField, setRuleField] = useState("source");
+  const [ruleMatchType, setRuleMatchType] = useState("exact");
+  const [ruleValue, setRuleValue] = useState("");
+  const [ruleChannelGroup, setRuleChannelGroup] = useState("");
+
+  const formatDate = (dateString) => {
+    if (!dateString) return 'Never';
+    return new Date(dateString).toLocaleString();
+  };
+
+  const statusBadge = (status) => {
+    switch (status) {
+      case 'connected': return <Badge tone="success">Connected</Badge>;
+      case 'error': return <Badge tone="critical">Error</Badge>;
+      default: return <Badge>Not connected</Badge>;
+    }
+  };
+
+  const resultBanner = (intents) => actionData && intents.includes(actionData.intent) && (
+    <Banner tone={actionData.success ? "success" : "critical"}>
+      <Text as="p">{actionData.message}</Text>
+    </Banner>
+  );
+
+  return (
+    <Page title="Analytics Connections" backAction={{ content: "Analytics", url: "/app/analytics" }}>
+      <Layout>
+        <Layout.Section>
+          <BlockStack gap="500">
+            <Banner tone="info">
+              <Text as="p">
+                Connect your own Google Analytics 4 property and Search Console site with a Google
+                service account. Create a key for the service account in Google Cloud, then give its
+                email address Viewer access in GA4 and add it as a user in Search Console.
+                Keys are stored encrypted.
+              </Text>
+            </Banner>
+
+            <Card>
+              <BlockStack gap="400">
+                <InlineStack align="space-between">
+                  <Text as="h2" variant="headingMd">Google Analytics 4</Text>
+                  {statusBadge(connection?.ga4Status)}
+                </InlineStack>
+
+                {resultBanner(["save_ga4", "test_ga4", "disconnect_ga4"])}
+
+                {connection?.ga4Error && connection.ga4Status === 'error' && (
+                  <Text as="p" tone="critical">{connection.ga4Error}</Text>
+                )}
+
+                <Form method="post">
+                  <input type="hidden" name="intent" value="save_ga4" />
+                  <BlockStack gap="300">
+                    <TextField
+                      label="GA4 property ID"
+                      name="ga4PropertyId"
+                      value={ga4PropertyId}
+                      onChange={setGa4PropertyId}
+                      placeholder="123456789"
+                      helpText="Found in GA4 under Admin → Property settings"
+                      autoComplete="off"
+                    />
+                    <TextField
+                      label="Service account key (JSON)"
+                      name="ga4ServiceAccount"
+                      value={ga4ServiceAccount}
+                      onChange={setGa4ServiceAccount}
+                      multiline={4}
+                      helpText={connection?.ga4ClientEmail
+                        ? `Using ${connection.ga4ClientEmail}. Leave blank to keep this key.`
+                        : "Paste the contents of the downloaded key file"}
+                      autoComplete="off"
+                    />
+                    <InlineStack gap="300">
+                      <TextField
+                        label="BigQuery project ID (optional)"
+                        name="bigQueryProjectId"
+                        value={bigQueryProjectId}
+                        onChange={setBigQueryProjectId}
+                        helpText="Only if the property is linked to BigQuery"
+                        autoComplete="off"
+                      />
+                      <TextField
+                        label="BigQuery dataset ID"
+                        name="bigQueryDatasetId"
+                        value={bigQueryDatasetId}
+                        onChange={setBigQueryDatasetId}
+                        placeholder="analytics_123456789"
+                        helpText="The service account needs BigQuery Data Viewer and Job User"
+                        autoComplete="off"
+                      />
+                    </InlineStack>
+                    <InlineStack gap="300">
+                      <Button submit variant="primary" loading={busyIntent === "save_ga4"}>
+                        Save and test
+                      </Button>
+                    </InlineStack>
+                  </BlockStack>
+                </Form>
+
+                {connection?.ga4PropertyId && (
+                  <InlineStack gap="300" blockAlign="center">
+                    <Form method="post">
+                      <input type="hidden" name="intent" value="test_ga4" />
+                      <Button submit loading={busyIntent === "test_ga4"}>Test connection</Button>
+                    </Form>
+                    <Form method="post">
+                      <input type="hidden" name="intent" value="disconnect_ga4" />
+                      <Button submit tone="critical" variant="plain">Disconnect</Button>
+                    </Form>
+                    <Text as="span" variant="bodySm" tone="subdued">
+                      Last tested: {formatDate(connection.ga4TestedAt)}
+                    </Text>
+                  </InlineStack>
+                )}
+              </BlockStack>
+            </Card>
+
+            <Card>
+              <BlockStack gap="400">
+                <InlineStack align="space-between">
+                  <Text as="h2" variant="headingMd">Google Search Console</Text>
+                  {statusBadge(connection?.searchConsoleStatus)}
+                </InlineStack>
+
+                {resultBanner(["save_search_console", "test_search_console", "disconnect_search_console"])}
+
+                {connection?.searchConsoleError && connection.searchConsoleStatus === 'error' && (
+                  <Text as="p" tone="critical">{connection.searchConsoleError}</Text>
+                )}
+
+                <Form method="post">
+                  <input type="hidden" name="intent" value="save_search_console" />
+                  <BlockStack gap="300">
+                    <TextField
+                      label="Site URL"
+                      name="searchConsoleSiteUrl"
+                      value={searchConsoleSiteUrl}
+                      onChange={setSearchConsoleSiteUrl}
+                      placeholder="https://example.com/"
+                      helpText="The property as it appears in Search Console, e.g. https://example.com/ or sc-domain:example.com"
+                      autoComplete="off"
+                    />
+                    <TextField
+                      label="Service account key (JSON)"
+                      name="searchConsoleServiceAccount"
+                      value={searchConsoleServiceAccount}
+                      onChange={setSearchConsoleServiceAccount}
+                      multiline={4}
+                      helpText={connection?.searchConsoleClientEmail
+                        ? `Using ${connection.searchConsoleClientEmail}. Leave blank to keep this key.`
+                        : "Paste the contents of the downloaded key file"}
+                      autoComplete="off"
+                    />
+                    <InlineStack gap="300">
+                      <Button submit variant="primary" loading={busyIntent === "save_search_console"}>
+                        Save and test
+                      </Button>
+                    </InlineStack>
+                  </BlockStack>
+                </Form>
+
+                {connection?.searchConsoleSiteUrl && (
+                  <InlineStack gap="300" blockAlign="center">
+                    <Form method="post">
+                      <input type="hidden" name="intent" value="test_search_console" />
+                      <Button submit loading={busyIntent === "test_search_console"}>Test connection</Button>
+                    </Form>
+                    <Form method="post">
+                      <input type="hidden" name="intent" value="disconnect_search_console" />
+                      <Button submit tone="critical" variant="plain">Disconnect</Button>
+                    </Form>
+                    <Text as="span" variant="bodySm" tone="subdued">
+                      Last tested: {formatDate(connection.searchConsoleTestedAt)}
+                    </Text>
+                  </InlineStack>
+                )}
+              </BlockStack>
+            </Card>
+
+            <Card>
+              <BlockStack gap="400">
+                <Text as="h2" variant="headingMd">Channel grouping</Text>
+                <Text as="p" tone="subdued">
+                  Imported traffic is grouped with Google Analytics 4's default channel groups. Rules added
+                  here are checked first, top to bottom, and matching is case-insensitive. Stored traffic is
+                  reclassified whenever the rules change.
+                </Text>
+
+                {resultBanner(["add_channel_rule", "delete_channel_rule", "reclassify_channel_groups"])}
+
+                {channelGroupRules.length > 0 ? (
+                  <BlockStack gap="200">
+                    {channelGroupRules.map((rule) => (
+                      <InlineStack key={rule.id} align="space-between" blockAlign="center">
+                        <Text as="span">
+                          {ruleFields[rule.field]} {ruleMatchTypes[rule.matchType]} <Text as="span" fontWeight="semibold">{rule.value}</Text> → {rule.channelGroup}
+                        </Text>
+                        <Form method="post">
+                          <input type="hidden" name="intent" value="delete_channel_rule" />
+                          <input type="hidden" name="ruleId" value={rule.id} />
+                          <Button submit tone="critical" variant="plain">Remove</Button>
+                        </Form>
+                      </InlineStack>
+                    ))}
+                  </BlockStack>
+                ) : (
+                  <Text as="p" variant="bodySm" tone="subdued">No custom rules</Text>
+                )}
+
+                <Form method="post">
+                  <input type="hidden" name="intent" value="add_channel_rule" />
+                  <BlockStack gap="300">
+                    <InlineStack gap="300">
+                      <Select
+                        label="Field"
+                        name="field"
+                        options={Object.entries(ruleFields).map(([value, label]) => ({ value, label }))}
+                        value={ruleField}
+                        onChange={setRuleField}
+                      />
+                      <Select
+                        label="Match"
+                        name="matchType"
+                        options={Object.entries(ruleMatchTypes).map(([value, label]) => ({ value, label }))}
+                        value={ruleMatchType}
+                        onChange={setRuleMatchType}
+                      />
+                      <TextField
+                        label="Value"
+                        name="value"
+                        value={ruleValue}
+                        onChange={setRuleValue}
+                        placeholder="newsletter"
+                        autoComplete="off"
+                      />
+                      <TextField
+                        label="Channel group"
+                        name="channelGroup"
+                        value={ruleChannelGroup}
+                        onChange={setRuleChannelGroup}
+                        placeholder="Email"
+                        helpText="A default group such as Paid Social, or your own"
+                        autoComplete="off"
+                      />
+                    </InlineStack>
+                    <InlineStack gap="300">
+                      <Button submit variant="primary" loading={busyIntent === "add_channel_rule"}>
+                        Add rule
+                      </Button>
+                    </InlineStack>
+                  </BlockStack>
+                </Form>
+
+                <Form method="post">
+                  <input type="hidden" name="intent" value="reclassify_channel_groups" />
+                  <Button submit loading={busyIntent === "reclassify_channel_groups"}>Reclassify stored traffic</Button>
+                </Form>
+              </BlockStack>
+            </Card>
+          </BlockStack>
+        </Layout.Section>
+      </Layout>
+    </Page>
+  );
+}
@@ -15,12 +15,21 @@ import {
 } from "@shopify/polaris";
 import { authenticate } from "../shopify.server";
 import { getAnalyticsSummary } from "../services/analytics.server.js";
+import {
+  ANALYTICS_SOURCES,
+  dispatchAnalyticsImport,
+  getAnalyticsImportStatus
+} from "../services/analytics-import.server.js";
+import { findShopId } from "../services/shops.server.js";
 
 export const loader = async ({ request }) => {
   const { session } = await authenticate.admin(request);
   
   // Get analytics summary
   const analyticsData = await getAnalyticsSummary();
+
+  const shopId = await findShopId(session.shop, { required: false });
+  const imports = shopId ? await getAnalyticsImportStatus(shopId) : [];
   
   // Add some debug info
   console.log('📊 Analytics Dashboard - Shop:', session.shop);
@@ -28,7 +37,8 @@ export const loader = async ({ request }) => {
   
   return json({
     shop: session.shop,
-    analytics: analyticsData
+    analytics: analyticsData,
+    imports
   });
 };
 
@@ -54,6 +64,34 @@ export const action = async ({ request }) => {
       });
     }
     
+    if (action === "import-analytics") {
+      const source = formData.get("source");
+      if (!ANALYTICS_SOURCES[source]) {
+        return json({ success: false, message: "Unknown import source" });
+      }
+
+      const shopId = await findShopId(session.shop, { required: false });
+      if (!shopId) {
+        return json({ success: false, message: "Shop not found, run the initial sync first" });
+      }
+
+      const status = (await getAnalyticsImportStatus(shopId)).find(item => item.source === source);
+      if (!status.connected) {
+        return json({ success: false, message: `${status.label} is not connected, set it up in Analytics Settings` });
+      }
+      if (status.running) {
+        return json({ success: false, message: `${status.label} import is already running` });
+      }
+
+      // Imports can take minutes, so don't hold the request open
+      dispatchAnalyticsImport(shopId, source, { syncType: "manual" });
+
+      return json({
+        success: true,
+        message: `${status.label} import started. Refresh the page to see its progress.`
+      });
+    }
+
     return json({ success: false, message: "Unknown action" });
   } catch (error) {
     console.error("Analytics test failed:", error);
@@ -62,9 +100,25 @@ export const action = async ({ request }) => {
 };
 
 export default function Analytics() {
-  const { shop, analytics } = useLoaderData();
+  const { shop, analytics, imports } = useLoaderData();
   const actionData = useActionData();
 
+  const formatDate = (dateString) => {
+    if (!dateString) return 'Never';
+    return new Date(dateString).toLocaleString();
+  };
+
+  const importBadge = (item) => {
+    if (!item.connected) return <Badge>Not connected</Badge>;
+    if (item.running) return <Badge tone="info">Importing</Badge>;
+    switch (item.lastRun?.status) {
+      case 'completed': return <Badge tone="success">Up to date</Badge>;
+      case 'failed': return <Badge tone="critical">Failed</Badge>;
+      case 'partial': return <Badge tone="warning">Partially imported</Badge>;
+      default: return <Badge>Not imported yet</Badge>;
+    }
+  };
+
   return (
     <Page title="Analytics Dashboard">
       <Layout>
@@ -136,6 +190,50 @@ export default function Analytics() {
               </BlockStack>
             </Card>
 
+            <Card>
+              <BlockStack gap="400">
+                <InlineStack align="space-between">
+                  <Text as="h2" variant="headingMd">
+                    Analytics Imports
+                  </Text>
+                  <Button url="/app/analytics-settings" variant="plain">
+                    Connection settings
+                  </Button>
+                </InlineStack>
+
+                <Text as="p" variant="bodyMd" tone="subdued">
+                  Data is imported automatically once a day. Each import only fetches the days since the last successful one.
+                </Text>
+
+                {imports.map(item => (
+                  <InlineStack key={item.source} align="space-between" blockAlign="center">
+                    <BlockStack gap="100">
+                      <InlineStack gap="200" blockAlign="center">
+                        <Text as="h3" variant="headingSm">{item.label}</Text>
+                        {importBadge(item)}
+                      </InlineStack>
+                      <Text as="p" variant="bodySm" tone="subdued">
+                        Last successful import: {formatDate(item.lastSuccessAt)}
+                        {item.lastRun?.status === 'completed' && (item.lastRun.recordsTotal > item.lastRun.recordsProcessed
+                          ? ` (${item.lastRun.recordsProcessed} of ${item.lastRun.recordsTotal} rows)`
+                          : ` (${item.lastRun.recordsProcessed} rows)`)}
+                      </Text>
+                      {['failed', 'partial'].includes(item.lastRun?.status) && (
+                        <Text as="p" variant="bodySm" tone="critical">{item.lastRun.errorMessage}</Text>
+                      )}
+                    </BlockStack>
+                    {item.connected && (
+                      <Form method="post">
+                        <input type="hidden" name="action" value="import-analytics" />
+                        <input type="hidden" name="source" value={item.source} />
+                        <Button submit disabled={item.running}>Import now</Button>
+                      </Form>
+                    )}
+                  </InlineStack>
+                ))}
+              </BlockStack>
+            </Card>
+
             <Card>
               <BlockStack gap="400">
                 <Text as="h2" variant="headingMd">
@@ -1,19 +1,28 @@
+import { useEffect, useRef } from "react";
 import { json } from "@remix-run/node";
-import { useLoaderData, useActionData, Form } from "@remix-run/react";
-import { Page, Card, Text, BlockStack, Button, Banner, ProgressBar } from "@shopify/polaris";
+import { useLoaderData, useActionData, useFetcher, useRevalidator, Form } from "@remix-run/react";
+import { Page, Card, Text, BlockStack, InlineStack, Button, Banner, ProgressBar } from "@shopify/polaris";
 import { authenticate } from "../shopify.server";
-import { InitialSyncService } from "../services/initial-sync.server.js";
+import {
+  enqueueSyncJob,
+  dispatchSyncJob,
+  cancelSyncJob,
+  resumeSyncJob,
+  getSyncJobProgress
+} from "../services/sync-jobs.server.js";
 import db from "../db.server.js";
 
+const PROGRESS_POLL_MS = 2000;
+
 export const loader = async ({ request }) => {
-  const { admin, session } = await authenticate.admin(request);
+  const { session } = await authenticate.admin(request);
   
   // Check if shop has been synced before
   const shop = await db.shop.findUnique({
     where: { domain: session.shop },
     include: {
       syncLogs: {
-        where: { syncType: 'initial' },
+        where: { syncType: { in: ['initial', 'delta', 'bulk'] } },
         orderBy: { startedAt: 'desc' },
         take: 1
       }
@@ -26,6 +35,7 @@ export const loader = async ({ request }) => {
   return json({
     shop: session.shop,
     hasInitialSync,
+    syncJob: shop ? await getSyncJobProgress(shop.id) : null,
     lastSyncLog: lastSyncLog ? {
       ...lastSyncLog,
       shopId: lastSyncLog.shopId.toString()
@@ -42,33 +52,88 @@ export const loader = async ({ request }) => {
 };
 
 export const action = async ({ request }) => {
-  const { admin, session } = await authenticate.admin(request);
+  const { session } = await authenticate.admin(request);
+  const formData = await request.formData();
+  const intent = formData.get("intent") || "start";
+  const jobId = parseInt(formData.get("jobId"));
+  const timestamp = new Date().toISOString();
   
   try {
-    console.log(`🚀 Starting initial sync for shop: ${session.shop}`);
-    
-    const syncService = new InitialSyncService(admin, session.shop);
-    const result = await syncService.syncAllData();
-    
-    return json({ 
-      success: result.success, 
-      message: result.message || result.error,
-      timestamp: new Date().toISOString()
+    const shop = await db.shop.findUnique({
+      where: { domain: session.shop },
+      select: { id: true }
     });
+    if (!shop) {
+      throw new Error(`Shop not found in database: ${session.shop}`);
+    }
+
+    if (intent === "cancel") {
+      const job = await cancelSyncJob(jobId, shop.id);
+      return json({
+        success: Boolean(job),
+        message: job ? "Cancelling sync, it will stop after the current page" : "Sync job not found",
+        timestamp
+      });
+    }
+
+    if (intent === "resume") {
+      const job = await resumeSyncJob(jobId, shop.id);
+      if (!job) {
+        return json({ success: false, message: "This sync can't be resumed while another sync is running", timestamp });
+      }
+
+      // Not awaited, the page polls for progress
+      dispatchSyncJob(job.id);
+      return json({ success: true, message: "Sync resumed, finished entities will be skipped", timestamp });
+    }
+
+    const mode = formData.get("mode") || "full";
+    console.log(`🚀 Queuing ${mode} sync for shop: ${session.shop}`);
+
+    const { job, existing } = await enqueueSyncJob(session.shop, { mode });
+    if (existing) {
+      return json({ success: false, message: "A sync is already running for this store", timestamp });
+    }
+
+    // Not awaited, the page polls for progress
+    dispatchSyncJob(job.id);
+    return json({ success: true, message: "Sync started", timestamp });
     
   } catch (error) {
     console.error("Initial sync failed:", error);
     return json({ 
       success: false, 
       message: error.message,
-      timestamp: new Date().toISOString()
+      timestamp
     }, { status: 500 });
   }
 };
 
 export default function InitialSync() {
-  const { shop, hasInitialSync, lastSyncLog, shopData } = useLoaderData();
+  const { shop, hasInitialSync, syncJob, lastSyncLog, shopData } = useLoaderData();
   const actionData = useActionData();
+  const progressFetcher = useFetcher();
+  const revalidator = useRevalidator();
+
+  // Polled progress wins unless the loader has since picked up a newer job
+  const polledJob = progressFetcher.data?.job;
+  const job = polledJob && (!syncJob || polledJob.id >= syncJob.id) ? polledJob : syncJob;
+  const jobActive = Boolean(job?.active);
+
+  useEffect(() => {
+    if (!jobActive) return;
+    const timer = setInterval(() => {
+      progressFetcher.load(`/app/sync-progress?jobId=${job.id}`);
+    }, PROGRESS_POLL_MS);
+    return () => clearInterval(timer);
+  }, [job?.id, jobActive]);
+
+  // Reload the rest of the page once a job finishes
+  const wasActive = useRef(jobActive);
+  useEffect(() => {
+    if (wasActive.current && !jobActive) revalidator.revalidate();
+    wasActive.current = jobActive;
+  }, [jobActive]);
 
   const formatDate = (dateString) => {
     if (!dateString) return 'Never';
@@ -79,17 +144,25 @@ export default function InitialSync() {
     switch (status) {
       case 'completed': return 'success';
       case 'failed': return 'critical';
+      case 'cancelled': return 'critical';
       case 'started': return 'info';
       default: return 'warning';
     }
   };
 
+  // Totals come from Shopify's count fields and can be 0 if counting failed
+  const getEntityProgress = (entity) => {
+    if (entity.status === 'completed') return 100;
+    if (!entity.recordsTotal) return 0;
+    return Math.min(100, Math.round((entity.recordsProcessed / entity.recordsTotal) * 100));
+  };
+
   return (
     <Page title="Initial Data Sync">
       <BlockStack gap="500">
         {actionData && (
           <Banner
-            title={actionData.success ? "Sync Completed" : "Sync Failed"}
+            title={actionData.success ? "Sync Requested" : "Sync Not Started"}
             status={actionData.success ? "success" : "critical"}
           >
             <Text as="p">{actionData.message}</Text>
@@ -112,6 +185,7 @@ export default function InitialSync() {
             <BlockStack gap="200">
               <Text as="p" variant="bodyMd">• Products and variants ✅</Text>
               <Text as="p" variant="bodyMd">• Collections ✅</Text>
+              <Text as="p" variant="bodyMd">• Locations and inventory levels ✅</Text>
               <Text as="p" variant="bodyMd">• Shop information ✅</Text>
               <Text as="p" variant="bodyMd" tone="subdued">• Customers and addresses ⚠️ (Requires special approval)</Text>
               <Text as="p" variant="bodyMd" tone="subdued">• Orders and line items ⚠️ (Requires special approval)</Text>
@@ -120,7 +194,7 @@ export default function InitialSync() {
             <Banner status="info">
               <Text as="p">
                 <strong>Note:</strong> Customer and order data require special approval from Shopify. 
-                Currently only products, collections, and shop data are synced.
+                Currently only products, collections, inventory, and shop data are synced.
               </Text>
             </Banner>
 
@@ -138,18 +212,115 @@ export default function InitialSync() {
               </Banner>
             )}
 
-            <Form method="post">
-              <Button 
-                submit 
-                variant="primary"
-                disabled={actionData?.success === false}
-              >
-                {hasInitialSync ? 'Re-sync All Data' : 'Start Initial Sync'}
-              </Button>
-            </Form>
+            <InlineStack gap="300">
+              <Form method="post">
+                <input type="hidden" name="mode" value="full" />
+                <Button 
+                  submit 
+                  variant="primary"
+                  disabled={jobActive}
+                >
+                  {hasInitialSync ? 'Re-sync All Data' : 'Start Initial Sync'}
+                </Button>
+              </Form>
+
+              {hasInitialSync && (
+                <Form method="post">
+                  <input type="hidden" name="mode" value="delta" />
+                  <Button submit disabled={jobActive}>
+                    Sync Changes Only
+                  </Button>
+                </Form>
+              )}
+
+              <Form method="post">
+                <input type="hidden" name="mode" value="bulk" />
+                <Button submit disabled={jobActive}>
+                  Bulk Sync Products
+                </Button>
+              </Form>
+            </InlineStack>
+
+            <Text as="p" variant="bodySm" tone="subdued">
+              {hasInitialSync && '"Sync Changes Only" fetches records updated since the last completed sync. '}
+              "Bulk Sync Products" exports the whole catalog through Shopify's Bulk Operations API, recommended for large catalogs and products with many variants or images.
+            </Text>
           </BlockStack>
         </Card>
 
+        {job && (
+          <Card>
+            <BlockStack gap="300">
+              <Text as="h2" variant="headingMd">
+                Sync Progress
+              </Text>
+
+              <Text as="p" variant="bodyMd">
+                <strong>Status:</strong> {job.cancelRequested && job.active ? 'CANCELLING' : job.status.toUpperCase()}
+                {' '}({{ delta: 'Changes only', bulk: 'Bulk' }[job.mode] || 'Full'}, queued {formatDate(job.createdAt)})
+              </Text>
+
+              {job.entities.length === 0 && (
+                <Text as="p" variant="bodyMd" tone="subdued">
+                  Waiting for the sync to start...
+                </Text>
+              )}
+
+              {job.entities.map(entity => (
+                <BlockStack gap="100" key={entity.entityType}>
+                  <InlineStack align="space-between">
+                    <Text as="span" variant="bodyMd">
+                      <strong>{entity.entityType.charAt(0).toUpperCase() + entity.entityType.slice(1)}</strong> ({entity.status})
+                    </Text>
+                    <Text as="span" variant="bodySm" tone="subdued">
+                      {entity.recordsTotal > 0
+                        ? `${entity.recordsProcessed} / ${entity.recordsTotal}`
+                        : `${entity.recordsProcessed} records`}
+                    </Text>
+                  </InlineStack>
+                  <ProgressBar
+                    progress={getEntityProgress(entity)}
+                    tone={getSyncStatusColor(entity.status) === 'success' ? 'success' :
+                          getSyncStatusColor(entity.status) === 'critical' ? 'critical' : 'primary'}
+                    size="small"
+                  />
+                  {entity.errorMessage && (
+                    <Text as="p" variant="bodySm" tone="critical">
+                      {entity.errorMessage}
+                    </Text>
+                  )}
+                </BlockStack>
+              ))}
+
+              {job.errorMessage && (
+                <Text as="p" variant="bodyMd" tone="critical">
+                  <strong>Error:</strong> {job.errorMessage}
+                </Text>
+              )}
+
+              {jobActive && (
+                <Form method="post">
+                  <input type="hidden" name="intent" value="cancel" />
+                  <input type="hidden" name="jobId" value={job.id} />
+                  <Button submit tone="critical" disabled={job.cancelRequested}>
+                    Cancel Sync
+                  </Button>
+                </Form>
+              )}
+
+              {(job.status === 'failed' || job.status === 'cancelled') && (
+                <Form method="post">
+                  <input type="hidden" name="intent" value="resume" />
+                  <input type="hidden" name="jobId" value={job.id} />
+                  <Button submit>
+                    Resume Sync
+                  </Button>
+                </Form>
+              )}
+            </BlockStack>
+          </Card>
+        )}
+
         {lastSyncLog && (
           <Card>
             <BlockStack gap="300">
@@ -168,6 +339,10 @@ export default function InitialSync() {
                   </span>
                 </Text>
                 
+                <Text as="p" variant="bodyMd">
+                  <strong>Type:</strong> {{ delta: 'Changes only', bulk: 'Bulk' }[lastSyncLog.syncType] || 'Full'} ({lastSyncLog.entityType})
+                </Text>
+                
                 <Text as="p" variant="bodyMd">
                   <strong>Started:</strong> {formatDate(lastSyncLog.startedAt)}
                 </Text>
@@ -0,0 +1,163 @@
+import { json } from "@remix-run/node";
+import { useLoaderData, useNavigate } from "@remix-run/react";
+import {
+  Page,
+  Layout,
+  Card,
+  Text,
+  BlockStack,
+  InlineStack,
+  DataTable,
+  Select,
+  Badge,
+  Banner
+} from "@shopify/polaris";
+import { authenticate } from "../shopify.server";
+import {
+  getInventoryByLocation,
+  getLocationInventory,
+  getInventoryHistory
+} from "../services/inventory-sync.server.js";
+import db from "../db.server.js";
+
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+
+  const shop = await db.shop.findUnique({
+    where: { domain: session.shop },
+    select: { id: true }
+  });
+  if (!shop) {
+    return json({ locations: [], selectedLocationId: null, items: [], history: [] });
+  }
+
+  const locations = await getInventoryByLocation(shop.id);
+  const requestedId = parseInt(new URL(request.url).searchParams.get("location"));
+  const selected = locations.find(location => location.id === requestedId) ?? locations[0];
+
+  const items = selected ? await getLocationInventory(shop.id, selected.id) : [];
+  const history = selected ? await getInventoryHistory(shop.id, { locationId: selected.id, take: 25 }) : [];
+
+  // Shopify ids are BigInts, which JSON can't carry
+  return json({
+    locations: locations.map(({ locationId, ...location }) => ({ ...location, locationId: locationId.toString() })),
+    selectedLocationId: selected?.id ?? null,
+    items: items.map(({ inventoryItemId, ...item }) => ({ ...item, inventoryItemId: inventoryItemId.toString() })),
+    history: history.map(({ inventoryLevel, ...change }) => ({
+      ...change,
+      inventoryItemId: inventoryLevel.inventoryItemId.toString()
+    }))
+  });
+};
+
+export default function Inventory() {
+  const { locations, selectedLocationId, items, history } = useLoaderData();
+  const navigate = useNavigate();
+
+  const formatDate = (dateString) => new Date(dateString).toLocaleString();
+  const itemName = (item) => item.variant
+    ? `${item.variant.product.title}${item.variant.title && item.variant.title !== 'Default Title' ? ` - ${item.variant.title}` : ''}`
+    : `Inventory item ${item.inventoryItemId}`;
+  const itemsById = new Map(items.map(item => [item.inventoryItemId, item]));
+
+  return (
+    <Page title="Inventory">
+      <Layout>
+        <Layout.Section>
+          <BlockStack gap="500">
+            {locations.length === 0 && (
+              <Banner tone="info">
+                <Text as="p">
+                  No locations synced yet. Run a sync from the Sync page to import locations and inventory levels.
+                </Text>
+              </Banner>
+            )}
+
+            {locations.length > 0 && (
+              <Card>
+                <BlockStack gap="400">
+                  <Text as="h2" variant="headingMd">Stock by location</Text>
+                  <DataTable
+                    columnContentTypes={['text', 'numeric', 'numeric', 'numeric', 'numeric', 'numeric']}
+                    headings={['Location', 'Items', 'Available', 'Committed', 'Incoming', 'On hand']}
+                    rows={locations.map(location => [
+                      <InlineStack key={location.id} gap="200" blockAlign="center">
+                        <Text as="span">{location.name}</Text>
+                        {!location.isActive && <Badge>Inactive</Badge>}
+                      </InlineStack>,
+                      location.items,
+                      location.available,
+                      location.committed,
+                      location.incoming,
+                      location.onHand
+                    ])}
+                  />
+                </BlockStack>
+              </Card>
+            )}
+
+            {selectedLocationId && (
+              <Card>
+                <BlockStack gap="400">
+                  <InlineStack align="space-between" blockAlign="center">
+                    <Text as="h2" variant="headingMd">Items</Text>
+                    <Select
+                      label="Location"
+                      labelInline
+                      options={locations.map(location => ({ label: location.name, value: String(location.id) }))}
+                      value={String(selectedLocationId)}
+                      onChange={(value) => navigate(`?location=${value}`)}
+                    />
+                  </InlineStack>
+                  {items.length === 0 ? (
+                    <Text as="p" tone="subdued">Nothing is stocked at this location</Text>
+                  ) : (
+                    <DataTable
+                      columnContentTypes={['text', 'text', 'numeric', 'numeric', 'numeric', 'numeric']}
+                      headings={['Product', 'SKU', 'Available', 'Committed', 'Incoming', 'On hand']}
+                      rows={items.map(item => [
+                        itemName(item),
+                        item.variant?.sku || '—',
+                        item.available,
+                        item.committed,
+                        item.incoming,
+                        item.onHand
+                      ])}
+                      footerContent="Lowest available first"
+                    />
+                  )}
+                </BlockStack>
+              </Card>
+            )}
+
+            {selectedLocationId && (
+              <Card>
+                <BlockStack gap="400">
+                  <Text as="h2" variant="headingMd">Recent changes</Text>
+                  {history.length === 0 ? (
+                    <Text as="p" tone="subdued">No changes recorded at this location</Text>
+                  ) : (
+                    <DataTable
+                      columnContentTypes={['text', 'text', 'numeric', 'numeric', 'numeric', 'text']}
+                      headings={['When', 'Item', 'Change', 'Available', 'Committed', 'Source']}
+                      rows={history.map(change => [
+                        formatDate(change.changedAt),
+                        itemsById.has(change.inventoryItemId)
+                          ? itemName(itemsById.get(change.inventoryItemId))
+                          : `Inventory item ${change.inventoryItemId}`,
+                        change.availableDelta > 0 ? `+${change.availableDelta}` : change.availableDelta,
+                        change.available,
+                        change.committed,
+                        change.source
+                      ])}
+                    />
+                  )}
+                </BlockStack>
+              </Card>
+            )}
+          </BlockStack>
+        </Layout.Section>
+      </Layout>
+    </Page>
+  );
+}
@@ -7,6 +7,7 @@ import { authenticate } from "../shopify.server";
 import db from "../db.server";
 import { json } from "@remix-run/node";
 import { trackAppInstallation, trackStoreEvent } from "../services/analytics.server.js";
+import { cancelShopPurge } from "../services/shop-purge.server.js";
 
 export const links = () => [{ rel: "stylesheet", href: polarisStyles }];
 
@@ -34,6 +35,9 @@ export const loader = async ({ request }) => {
       });
       console.log(`✅ Shop ensured in database: ${session.shop} (ID: ${shopData.id})`);
 
+      // A reinstalled shop keeps its data
+      await cancelShopPurge(session.shop);
+
           // Track app installation/access
           await trackAppInstallation(session.shop, session);
           await trackStoreEvent(session.shop, 'app_access', {
@@ -85,6 +89,9 @@ export default function App() {
         <Link to="/app/debug/webhook-test">Debug</Link>
         <Link to="/app/initial-sync">Sync</Link>
         <Link to="/app/analytics">Analytics</Link>
+        <Link to="/app/analytics-settings">Analytics Settings</Link>
+        <Link to="/app/inventory">Inventory</Link>
+        <Link to="/app/privacy-requests">Privacy Requests</Link>
       </NavMenu>
       <Outlet />
     </AppProvider>
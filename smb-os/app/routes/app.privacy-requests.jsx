@@ -0,0 +1,114 @@
+import { json } from "@remix-run/node";
+import { useLoaderData } from "@remix-run/react";
+import { useState } from "react";
+import {
+  Page,
+  Layout,
+  Card,
+  Text,
+  BlockStack,
+  InlineStack,
+  TextField,
+  Button,
+  Badge,
+  Banner
+} from "@shopify/polaris";
+import { authenticate } from "../shopify.server";
+import { getComplianceRequests } from "../services/compliance.server.js";
+
+const TOPIC_LABELS = {
+  CUSTOMERS_DATA_REQUEST: "Customer data request",
+  CUSTOMERS_REDACT: "Customer data erasure",
+  SHOP_REDACT: "Shop data erasure"
+};
+
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const requests = await getComplianceRequests(session.shop);
+
+  return json({
+    // Shopify ids are BigInts, which JSON can't carry
+    requests: requests.map(({ customerId, dataRequestId, ...complianceRequest }) => ({
+      ...complianceRequest,
+      customerId: customerId?.toString() ?? null,
+      dataRequestId: dataRequestId?.toString() ?? null
+    }))
+  });
+};
+
+export default function PrivacyRequests() {
+  const { requests } = useLoaderData();
+  const [openExportId, setOpenExportId] = useState(null);
+
+  const statusBadge = (status) => {
+    switch (status) {
+      case 'fulfilled': return <Badge tone="success">Fulfilled</Badge>;
+      case 'failed': return <Badge tone="critical">Failed</Badge>;
+      default: return <Badge tone="attention">Received</Badge>;
+    }
+  };
+
+  const formatDate = (dateString) => dateString ? new Date(dateString).toLocaleString() : '—';
+
+  return (
+    <Page title="Privacy Requests">
+      <Layout>
+        <Layout.Section>
+          <BlockStack gap="500">
+            <Banner tone="info">
+              <Text as="p">
+                Data and erasure requests Shopify sends on behalf of your customers are handled
+                automatically. For data requests, send the export below to the customer.
+              </Text>
+            </Banner>
+
+            <Card>
+              <BlockStack gap="400">
+                {requests.length === 0 && (
+                  <Text as="p" tone="subdued">No privacy requests received</Text>
+                )}
+
+                {requests.map((request) => (
+                  <BlockStack key={request.id} gap="200">
+                    <InlineStack align="space-between" blockAlign="center">
+                      <Text as="h3" variant="headingSm">{TOPIC_LABELS[request.topic] ?? request.topic}</Text>
+                      {statusBadge(request.status)}
+                    </InlineStack>
+                    <Text as="p" variant="bodySm" tone="subdued">
+                      Received {formatDate(request.receivedAt)} · Fulfilled {formatDate(request.fulfilledAt)}
+                      {request.customerId && ` · Customer ${request.customerId}`}
+                    </Text>
+                    {request.errorMessage && request.status === 'failed' && (
+                      <Text as="p" tone="critical">{request.errorMessage}</Text>
+                    )}
+                    {request.exportData && (
+                      <BlockStack gap="200">
+                        <InlineStack>
+                          <Button
+                            variant="plain"
+                            onClick={() => setOpenExportId(openExportId === request.id ? null : request.id)}
+                          >
+                            {openExportId === request.id ? "Hide export" : "Show export"}
+                          </Button>
+                        </InlineStack>
+                        {openExportId === request.id && (
+                          <TextField
+                            label="Customer data export (JSON)"
+                            value={request.exportData}
+                            multiline={12}
+                            readOnly
+                            autoComplete="off"
+                          />
+                        )}
+                      </BlockStack>
+                    )}
+                  </BlockStack>
+                ))}
+              </BlockStack>
+            </Card>
+          </BlockStack>
+        </Layout.Section>
+      </Layout>
+    </Page>
+  );
+}
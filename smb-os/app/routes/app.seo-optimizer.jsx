@@ -15,12 +15,17 @@ import {
   List,
 } from "@shopify/polaris";
 import { TitleBar } from "@shopify/app-bridge-react";
+import { authenticate } from "../shopify.server";
 import { generateSEOSuggestions, getSEOPerformanceSummary } from "../services/ai-seo-optimizer.server.js";
+import { findShopId } from "../services/shops.server.js";
 
 export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+
   try {
     // Get performance summary
-    const performanceSummary = await getSEOPerformanceSummary(30);
+    const shopId = await findShopId(session.shop);
+    const performanceSummary = await getSEOPerformanceSummary(shopId, 30);
     
     return json({
       performanceSummary: performanceSummary.success ? performanceSummary.data : null,
@@ -36,6 +41,7 @@ export const loader = async ({ request }) => {
 };
 
 export const action = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
   const formData = await request.formData();
   const action = formData.get("action");
   
@@ -44,7 +50,8 @@ export const action = async ({ request }) => {
     const minPageViews = parseInt(formData.get("minPageViews")) || 10;
     
     try {
-      const suggestions = await generateSEOSuggestions({
+      const shopId = await findShopId(session.shop);
+      const suggestions = await generateSEOSuggestions(shopId, {
         dateRange,
         minPageViews
       });
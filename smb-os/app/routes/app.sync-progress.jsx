@@ -0,0 +1,21 @@
+import { json } from "@remix-run/node";
+import { authenticate } from "../shopify.server";
+import { getSyncJobProgress } from "../services/sync-jobs.server.js";
+import db from "../db.server.js";
+
+// Polled by the initial sync page while a sync job is running.
+// Returns the job with ?jobId=, otherwise the shop's latest job.
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const jobId = parseInt(new URL(request.url).searchParams.get("jobId")) || null;
+
+  const shop = await db.shop.findUnique({
+    where: { domain: session.shop },
+    select: { id: true }
+  });
+  if (!shop) {
+    return json({ job: null });
+  }
+
+  return json({ job: await getSyncJobProgress(shop.id, jobId) });
+};
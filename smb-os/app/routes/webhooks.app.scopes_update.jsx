@@ -1,28 +1,14 @@
 import { authenticate } from "../shopify.server";
-import db from "../db.server";
+import { enqueueWebhookEvent, dispatchWebhookEvent } from "../services/webhook-queue.server.js";
 
 export const action = async ({ request }) => {
-  const { payload, session, topic, shop } = await authenticate.webhook(request);
+  const { payload, topic, shop, webhookId } = await authenticate.webhook(request);
 
   console.log(`Received ${topic} webhook for ${shop}`);
-  const current = payload.current;
 
-  if (session) {
-    try {
-      console.log('Updating session scope for ID:', session.id);
-      await db.session.update({
-        where: {
-          id: session.id,
-        },
-        data: {
-          scope: current.toString(),
-        },
-      });
-      console.log('Session scope updated successfully');
-    } catch (error) {
-      console.error('Error updating session scope:', error);
-    }
-  }
+  // Session scope is updated by the queued handler
+  const { event, duplicate } = await enqueueWebhookEvent({ shop, topic, webhookId, payload });
+  if (!duplicate) dispatchWebhookEvent(event.id);
 
   return new Response();
 };
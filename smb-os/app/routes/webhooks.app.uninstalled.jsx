@@ -1,16 +1,14 @@
 import { authenticate } from "../shopify.server";
-import db from "../db.server";
+import { enqueueWebhookEvent, dispatchWebhookEvent } from "../services/webhook-queue.server.js";
 
 export const action = async ({ request }) => {
-  const { shop, session, topic } = await authenticate.webhook(request);
+  const { shop, topic, payload, webhookId } = await authenticate.webhook(request);
 
   console.log(`Received ${topic} webhook for ${shop}`);
 
-  // Webhook requests can trigger multiple times and after an app has already been uninstalled.
-  // If this webhook already ran, the session may have been deleted previously.
-  if (session) {
-    await db.session.deleteMany({ where: { shop } });
-  }
+  // Session cleanup happens in the queued handler
+  const { event, duplicate } = await enqueueWebhookEvent({ shop, topic, webhookId, payload });
+  if (!duplicate) dispatchWebhookEvent(event.id);
 
   return new Response();
 };
@@ -0,0 +1,19 @@
+import { authenticate } from "../shopify.server";
+import { enqueueWebhookEvent, dispatchWebhookEvent } from "../services/webhook-queue.server.js";
+
+export const action = async ({ request }) => {
+  const { topic, shop, payload, webhookId } = await authenticate.webhook(request);
+
+  try {
+    console.log(`🔍 WEBHOOK: Collection Updated (${shop}, ID: ${payload.id})`);
+
+    const { event, duplicate } = await enqueueWebhookEvent({ shop, topic, webhookId, payload });
+    if (!duplicate) dispatchWebhookEvent(event.id);
+
+    return new Response();
+
+  } catch (error) {
+    console.error("❌ Error processing collection update webhook:", error);
+    return new Response("Webhook processing failed", { status: 500 });
+  }
+};
@@ -0,0 +1,21 @@
+import { authenticate } from "../shopify.server";
+import { enqueueWebhookEvent, dispatchWebhookEvent } from "../services/webhook-queue.server.js";
+
+export const action = async ({ request }) => {
+  // Responds 401 to requests without a valid HMAC, as Shopify requires
+  const { topic, shop, payload, webhookId } = await authenticate.webhook(request);
+
+  try {
+    console.log(`🔍 WEBHOOK: Customer Data Request (${shop}, ID: ${payload.customer?.id})`);
+
+    // Fulfilled and recorded by the queued compliance handler
+    const { event, duplicate } = await enqueueWebhookEvent({ shop, topic, webhookId, payload });
+    if (!duplicate) dispatchWebhookEvent(event.id);
+
+    return new Response();
+
+  } catch (error) {
+    console.error("❌ Error processing customer data request webhook:", error);
+    return new Response("Webhook processing failed", { status: 500 });
+  }
+};
@@ -1,34 +1,19 @@
-import { json } from "@remix-run/node";
 import { authenticate } from "../shopify.server";
+import { enqueueWebhookEvent, dispatchWebhookEvent } from "../services/webhook-queue.server.js";
 
 export const action = async ({ request }) => {
-  const { admin } = await authenticate.webhook(request);
-
-  if (!admin) {
-    return json({ message: "Unauthorized" }, { status: 401 });
-  }
+  const { topic, shop, payload, webhookId } = await authenticate.webhook(request);
 
   try {
-    const payload = await request.json();
-    console.log("🔍 WEBHOOK: Order Updated", payload);
-
-    // Extract order data
-    const order = payload.order;
-    if (!order) {
-      console.error("❌ No order data in webhook payload");
-      return json({ message: "No order data" }, { status: 400 });
-    }
-
-    console.log(`✅ Order updated: Order #${order.order_number} (ID: ${order.id}) - Status: ${order.financial_status}`);
+    console.log(`🔍 WEBHOOK: Order Updated (${shop}, ID: ${payload.id})`);
 
-    // Here you can add your custom logic to sync order data to your database
-    // For example:
-    // await syncOrderToDatabase(order);
+    const { event, duplicate } = await enqueueWebhookEvent({ shop, topic, webhookId, payload });
+    if (!duplicate) dispatchWebhookEvent(event.id);
 
-    return json({ message: "Order webhook processed successfully" });
+    return new Response();
 
   } catch (error) {
     console.error("❌ Error processing order update webhook:", error);
-    return json({ message: "Error processing webhook" }, { status: 500 });
+    return new Response("Webhook processing failed", { status: 500 });
   }
 };
@@ -0,0 +1,171 @@
+/**
+ * Admin GraphQL client that respects Shopify's cost-based rate limiting.
+ *
+ * Each shop has a bucket of query cost points that refills at a fixed restore
+ * rate, and every response reports the bucket's state in extensions.cost. That
+ * state is kept per shop, so concurrent callers (like the entity syncs, which
+ * run in parallel) share one budget and wait for points instead of being
+ * THROTTLED. Throttled calls that still happen are retried.
+ *
+ * Usage:
+ *   const client = new AdminGraphQLClient(admin, session.shop);
+ *   const data = await client.request(query, { variables });
+ */
+
+// Assumed cost of a query until Shopify has told us its requestedQueryCost
+const DEFAULT_QUERY_COST = 50;
+const DEFAULT_MAX_RETRIES = 5;
+
+// shop domain -> { available, maximum, restoreRate, updatedAt }
+const costBuckets = new Map();
+// query text -> requestedQueryCost from its last response
+const queryCosts = new Map();
+
+/**
+ * Top-level GraphQL errors, e.g. an invalid query or missing access scope
+ */
+export class ShopifyGraphQLError extends Error {
+  constructor(message, { errors = [], extensions = null } = {}) {
+    super(message);
+    this.name = "ShopifyGraphQLError";
+    this.errors = errors;
+    this.extensions = extensions;
+  }
+}
+
+/**
+ * Still throttled after all retries
+ */
+export class ShopifyThrottledError extends ShopifyGraphQLError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = "ShopifyThrottledError";
+  }
+}
+
+/**
+ * A mutation ran but rejected its input. userErrors is Shopify's list of
+ * { field, message } and operation is the mutation field that returned them.
+ */
+export class ShopifyUserError extends Error {
+  constructor(operation, userErrors) {
+    super(`${operation} failed: ${userErrors.map(error => error.message).join(", ")}`);
+    this.name = "ShopifyUserError";
+    this.operation = operation;
+    this.userErrors = userErrors;
+  }
+}
+
+export class AdminGraphQLClient {
+  constructor(admin, shopDomain, { maxRetries = DEFAULT_MAX_RETRIES } = {}) {
+    this.admin = admin;
+    this.shopDomain = shopDomain;
+    this.maxRetries = maxRetries;
+  }
+
+  /**
+   * Run a query or mutation and return its data.
+   * Throws ShopifyGraphQLError, ShopifyThrottledError or ShopifyUserError.
+   */
+  async request(query, { variables } = {}) {
+    for (let attempt = 0; ; attempt++) {
+      await this.waitForCapacity(query);
+
+      let body;
+      try {
+        const response = await this.admin.graphql(query, { variables });
+        body = await response.json();
+      } catch (error) {
+        // The Remix admin client throws on GraphQL errors, with the response body attached
+        if (!error.body || graphQLErrors(error.body).length === 0) {
+          // HTTP 429, rare since GraphQL throttling is normally reported in the body
+          if (error.retryAfter !== undefined && attempt < this.maxRetries) {
+            await sleep((error.retryAfter || 1) * 1000);
+            continue;
+          }
+          throw error;
+        }
+        body = error.body;
+      }
+
+      this.recordCost(query, body.extensions?.cost);
+
+      const errors = graphQLErrors(body);
+      if (errors.length === 0) {
+        throwUserErrors(body.data);
+        return body.data;
+      }
+
+      const message = errors.map(error => error.message).join(", ");
+      const throttled = errors.some(error => error.extensions?.code === "THROTTLED");
+
+      if (!throttled) {
+        throw new ShopifyGraphQLError(`GraphQL errors: ${message}`, { errors, extensions: body.extensions });
+      }
+      if (attempt >= this.maxRetries) {
+        throw new ShopifyThrottledError(`Throttled after ${attempt + 1} attempts: ${message}`, { errors, extensions: body.extensions });
+      }
+
+      console.warn(`⏳ Throttled by Shopify for ${this.shopDomain}, retrying (attempt ${attempt + 1}/${this.maxRetries})`);
+      if (!body.extensions?.cost) {
+        // Without cost info waitForCapacity can't pace us, so back off instead
+        await sleep(1000 * 2 ** attempt);
+      }
+    }
+  }
+
+  /**
+   * Reserve the query's cost from the shop's bucket, sleeping until the
+   * bucket has refilled enough if it can't cover it yet
+   */
+  async waitForCapacity(query) {
+    const bucket = costBuckets.get(this.shopDomain);
+    if (!bucket) return;
+
+    const cost = Math.min(queryCosts.get(query) ?? DEFAULT_QUERY_COST, bucket.maximum);
+    const now = Date.now();
+    const restored = ((now - bucket.updatedAt) / 1000) * bucket.restoreRate;
+
+    // Reserve before sleeping so concurrent callers queue up behind us
+    bucket.available = Math.min(bucket.maximum, bucket.available + restored) - cost;
+    bucket.updatedAt = now;
+
+    if (bucket.available < 0) {
+      await sleep((-bucket.available / bucket.restoreRate) * 1000);
+    }
+  }
+
+  recordCost(query, cost) {
+    if (!cost?.throttleStatus) return;
+
+    if (cost.requestedQueryCost) {
+      queryCosts.set(query, cost.requestedQueryCost);
+    }
+
+    const { maximumAvailable, currentlyAvailable, restoreRate } = cost.throttleStatus;
+    costBuckets.set(this.shopDomain, {
+      available: currentlyAvailable,
+      maximum: maximumAvailable,
+      restoreRate,
+      updatedAt: Date.now()
+    });
+  }
+}
+
+function graphQLErrors(body) {
+  if (Array.isArray(body.errors)) return body.errors;
+  return body.errors?.graphQLErrors ?? [];
+}
+
+// Mutations report invalid input as userErrors on their payload rather than as GraphQL errors
+function throwUserErrors(data) {
+  for (const [operation, payload] of Object.entries(data ?? {})) {
+    if (payload?.userErrors?.length > 0) {
+      throw new ShopifyUserError(operation, payload.userErrors);
+    }
+  }
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
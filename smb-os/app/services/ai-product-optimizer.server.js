@@ -2,6 +2,7 @@
 // This service analyzes user behavior and suggests SEO descriptions, images, and social media content for products.
 
 import db from "../db.server";
+import { getSingleProductAnalytics, getProductPageviews } from "./product-analytics.server.js";
 const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
 
 export class AIProductOptimizer {
@@ -9,11 +10,12 @@ export class AIProductOptimizer {
     this.shopId = shopId;
   }
 
-  // Fetch product and related analytics data
-  async getProductWithAnalytics(productId) {
+  // Fetch product and related analytics data (see product-analytics.server.js
+  // for how page paths are matched to the product)
+  async getProductWithAnalytics(productId, dateRange = {}) {
     // Get product from public schema
-    const product = await db.product.findUnique({
-      where: { productId: BigInt(productId) },
+    const product = await db.product.findFirst({
+      where: { productId: BigInt(productId), shopId: this.shopId },
       include: {
         variants: true,
         images: true,
@@ -21,19 +23,15 @@ export class AIProductOptimizer {
     });
     if (!product) throw new Error("Product not found");
 
-    // Get Google Analytics data for this product (by page path or product handle)
-    // This assumes your product page URLs follow a pattern like /products/{handle}
-    const handle = product.handle;
-    const pagePath = `/products/${handle}`;
+    // Views, sessions, bounce rate and search queries from the GA4 and Search Console imports
+    const analytics = await getSingleProductAnalytics(this.shopId, product.id, dateRange);
 
-    // Fetch pageviews and events from google_analytics schema
-    // Note: Prisma multi-schema support: db.googleAnalyticsPageview, etc.
-    const pageviews = await db.googleAnalyticsPageview.findMany({
-      where: { pagePath },
+    // Individual pageviews and events, when the shop imports its BigQuery export
+    const pageviews = await getProductPageviews(this.shopId, product.id, {
+      ...dateRange,
       include: {
         session: {
           include: {
-            user: true,
             trafficSource: true,
             events: true,
           },
@@ -41,16 +39,15 @@ export class AIProductOptimizer {
       },
     });
 
-    // You can aggregate or process this data as needed
-    return { product, pageviews };
+    return { product, analytics, pageviews };
   }
 
   // Suggest a new SEO description for the product based on analytics data
   async suggestSeoDescription(productId) {
-    const { product, pageviews } = await this.getProductWithAnalytics(productId);
+    const { product, analytics, pageviews } = await this.getProductWithAnalytics(productId);
 
     // Aggregate analytics insights for prompt
-    const totalViews = pageviews.length;
+    const totalViews = analytics?.views || pageviews.length;
     const topReferrers = {};
     const searchTerms = {};
     for (const pv of pageviews) {
@@ -73,6 +70,10 @@ export class AIProductOptimizer {
       .slice(0, 3)
       .map(([ref, count]) => `${ref} (${count})`)
       .join(", ");
+    // Search Console queries are what shoppers searched on Google to find the product
+    for (const { query, clicks } of analytics?.searchQueries ?? []) {
+      searchTerms[query] = (searchTerms[query] || 0) + clicks;
+    }
     const topSearchList = Object.entries(searchTerms)
       .sort((a, b) => b[1] - a[1])
       .slice(0, 3)
@@ -80,7 +81,9 @@ export class AIProductOptimizer {
       .join(", ");
 
     // Build prompt for OpenAI
-    const prompt = `Rewrite the following Shopify product description to maximize SEO and conversion, using natural language.\n\nProduct Title: ${product.title}\nCurrent Description: ${product.description || product.title}\n\nAnalytics Insights:\n- Total Pageviews: ${totalViews}\n- Top Referrers: ${topRefList || 'N/A'}\n- Top Search Terms: ${topSearchList || 'N/A'}\n\nFocus on keywords users actually search for, and make the description engaging and persuasive.\n\nNew SEO Description:`;
+    const description = htmlToText(product.descriptionHtml);
+    const tags = product.tags ? JSON.parse(product.tags) : [];
+    const prompt = `Rewrite the following Shopify product description to maximize SEO and conversion, using natural language.\n\nProduct Title: ${product.title}\nProduct Type: ${product.productType || 'N/A'}\nTags: ${tags.join(", ") || 'N/A'}\nCurrent Description: ${description || product.title}\nCurrent SEO Title: ${product.seoTitle || product.title}\nCurrent SEO Meta Description: ${product.seoDescription || 'N/A'}\n\nAnalytics Insights:\n- Total Pageviews: ${totalViews}\n- Sessions: ${analytics?.sessions ?? 'N/A'}\n- Bounce Rate: ${analytics?.bounceRate != null ? `${(analytics.bounceRate * 100).toFixed(1)}%` : 'N/A'}\n- Organic Search Clicks: ${analytics?.organicClicks ?? 'N/A'}\n- Top Referrers: ${topRefList || 'N/A'}\n- Top Search Terms: ${topSearchList || 'N/A'}\n\nFocus on keywords users actually search for, and make the description engaging and persuasive.\n\nNew SEO Description:`;
 
     // Call OpenAI API
     try {
@@ -106,7 +109,8 @@ export class AIProductOptimizer {
       return {
         suggestion,
         product,
-        analytics: pageviews,
+        analytics,
+        pageviews,
         prompt
       };
     } catch (error) {
@@ -114,7 +118,8 @@ export class AIProductOptimizer {
       return {
         suggestion: "[AI generation failed. Please try again later.]",
         product,
-        analytics: pageviews,
+        analytics,
+        pageviews,
         prompt
       };
     }
@@ -122,29 +127,48 @@ export class AIProductOptimizer {
 
   // Suggest new images for the product based on analytics data
   async suggestImages(productId) {
-    const { product, pageviews } = await this.getProductWithAnalytics(productId);
+    const { product, analytics, pageviews } = await this.getProductWithAnalytics(productId);
     // TODO: Analyze analytics and call image generation API or suggest stock images
     return {
       suggestions: [/* URLs or prompts for images */],
       product,
-      analytics: pageviews,
+      analytics,
+      pageviews,
     };
   }
 
   // Suggest social media content for the product based on analytics data
   async suggestSocialMediaContent(productId) {
-    const { product, pageviews } = await this.getProductWithAnalytics(productId);
+    const { product, analytics, pageviews } = await this.getProductWithAnalytics(productId);
     // TODO: Analyze analytics and call LLM to generate social media posts/captions/hashtags
     return {
       suggestions: [
         // Example: "Check out our best-selling product! ... #ShopNow"
       ],
       product,
-      analytics: pageviews,
+      analytics,
+      pageviews,
     };
   }
 }
 
+// Plain text of a product's HTML description, for prompts
+function htmlToText(html) {
+  if (!html) return "";
+  return html
+    .replace(/<(br|\/p|\/li|\/h[1-6])\s*\/?>/gi, "\n")
+    .replace(/<[^>]+>/g, "")
+    .replace(/&nbsp;/g, " ")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, "&")
+    .replace(/[ \t]+/g, " ")
+    .replace(/\s*\n\s*/g, "\n")
+    .trim();
+}
+
 // Usage example (in a route or controller):
 // const optimizer = new AIProductOptimizer(shopId);
 // const seo = await optimizer.suggestSeoDescription(productId);
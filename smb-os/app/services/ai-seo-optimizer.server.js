@@ -17,9 +17,9 @@ const openai = new OpenAI({
 const deploymentName = process.env.AZURE_OPENAI_DEPLOYMENT_NAME || 'gpt-4';
 
 /**
- * Analyze page performance and generate SEO optimization suggestions
+ * Analyze a shop's page performance and generate SEO optimization suggestions
  */
-export async function generateSEOSuggestions(options = {}) {
+export async function generateSEOSuggestions(shopId, options = {}) {
   const {
     dateRange = 30, // days
     minPageViews = 10,
@@ -29,7 +29,7 @@ export async function generateSEOSuggestions(options = {}) {
 
   try {
     // Get analytics data for analysis
-    const analyticsData = await gatherAnalyticsData(dateRange, minPageViews);
+    const analyticsData = await gatherAnalyticsData(shopId, dateRange, minPageViews);
     
     // Generate AI-powered suggestions
     const suggestions = await generateAISuggestions(analyticsData);
@@ -55,13 +55,14 @@ export async function generateSEOSuggestions(options = {}) {
 /**
  * Gather comprehensive analytics data for AI analysis
  */
-async function gatherAnalyticsData(dateRange, minPageViews) {
+async function gatherAnalyticsData(shopId, dateRange, minPageViews) {
   const startDate = new Date();
   startDate.setDate(startDate.getDate() - dateRange);
 
   // Get page performance data
   const pages = await db.googleAnalyticsHistoricalPages.findMany({
     where: {
+      shopId,
       date: {
         gte: startDate
       },
@@ -78,6 +79,7 @@ async function gatherAnalyticsData(dateRange, minPageViews) {
   // Get traffic source data
   const trafficSources = await db.googleAnalyticsHistoricalTraffic.findMany({
     where: {
+      shopId,
       date: {
         gte: startDate
       }
@@ -91,6 +93,7 @@ async function gatherAnalyticsData(dateRange, minPageViews) {
   // Get device performance data
   const deviceData = await db.googleAnalyticsHistoricalDevices.findMany({
     where: {
+      shopId,
       date: {
         gte: startDate
       }
@@ -104,6 +107,7 @@ async function gatherAnalyticsData(dateRange, minPageViews) {
   // Get geographic data
   const geoData = await db.googleAnalyticsHistoricalGeo.findMany({
     where: {
+      shopId,
       date: {
         gte: startDate
       }
@@ -119,6 +123,7 @@ async function gatherAnalyticsData(dateRange, minPageViews) {
   try {
     searchData = await db.googleAnalyticsHistoricalSearch.findMany({
       where: {
+        shopId,
         date: {
           gte: startDate
         },
@@ -594,9 +599,9 @@ function extractKeyInsights(aiResponse, analyticsData) {
 }
 
 /**
- * Get SEO performance summary for dashboard
+ * Get a shop's SEO performance summary for dashboard
  */
-export async function getSEOPerformanceSummary(dateRange = 30) {
+export async function getSEOPerformanceSummary(shopId, dateRange = 30) {
   try {
     const startDate = new Date();
     startDate.setDate(startDate.getDate() - dateRange);
@@ -612,19 +617,20 @@ export async function getSEOPerformanceSummary(dateRange = 30) {
     ] = await Promise.all([
       // Total page views
       db.googleAnalyticsHistoricalPages.aggregate({
-        where: { date: { gte: startDate } },
+        where: { shopId, date: { gte: startDate } },
         _sum: { screenPageViews: true }
       }),
       
       // Total sessions
       db.googleAnalyticsHistoricalSessions.aggregate({
-        where: { date: { gte: startDate } },
+        where: { shopId, date: { gte: startDate } },
         _sum: { sessions: true }
       }),
       
       // Average bounce rate
       db.googleAnalyticsHistoricalPages.aggregate({
         where: { 
+          shopId,
           date: { gte: startDate },
           bounceRate: { not: null }
         },
@@ -634,7 +640,7 @@ export async function getSEOPerformanceSummary(dateRange = 30) {
       // Top performing pages
       db.googleAnalyticsHistoricalPages.groupBy({
         by: ['pagePath', 'pageTitle'],
-        where: { date: { gte: startDate } },
+        where: { shopId, date: { gte: startDate } },
         _sum: { screenPageViews: true, uniquePageViews: true },
         _avg: { bounceRate: true },
         orderBy: { _sum: { screenPageViews: 'desc' } },
@@ -644,7 +650,7 @@ export async function getSEOPerformanceSummary(dateRange = 30) {
       // Top traffic sources
       db.googleAnalyticsHistoricalTraffic.groupBy({
         by: ['source', 'medium', 'channelGroup'],
-        where: { date: { gte: startDate } },
+        where: { shopId, date: { gte: startDate } },
         _sum: { sessions: true, users: true },
         _avg: { bounceRate: true },
         orderBy: { _sum: { sessions: 'desc' } },
@@ -653,7 +659,7 @@ export async function getSEOPerformanceSummary(dateRange = 30) {
       
       // Search performance (if available)
       db.googleAnalyticsHistoricalSearch.aggregate({
-        where: { date: { gte: startDate } },
+        where: { shopId, date: { gte: startDate } },
         _sum: { clicks: true, impressions: true },
         _avg: { ctr: true, position: true }
       }).catch(() => null)
@@ -0,0 +1,286 @@
+import { BetaAnalyticsDataClient } from "@google-analytics/data";
+import { BigQuery } from "@google-cloud/bigquery";
+import { google } from "googleapis";
+import db from "../db.server.js";
+import { encrypt, decrypt } from "./encryption.server.js";
+
+/**
+ * Per-shop Google Analytics 4 and Search Console connections.
+ *
+ * Each merchant connects their own GA4 property and Search Console site with a
+ * Google service account key. Keys are stored encrypted (see
+ * encryption.server.js) and only decrypted to build API clients. A GA4
+ * BigQuery export, if the property has one, is read with the GA4 key.
+ */
+
+const SEARCH_CONSOLE_SCOPES = ["https://www.googleapis.com/auth/webmasters.readonly"];
+
+/**
+ * Connection settings for the settings page. Credentials are never returned,
+ * only the service account email they belong to.
+ */
+export async function getAnalyticsConnection(shopId) {
+  const connection = await db.analyticsConnection.findUnique({ where: { shopId } });
+  if (!connection) return null;
+
+  const { ga4Credentials, searchConsoleCredentials, ...settings } = connection;
+  return {
+    ...settings,
+    ga4ClientEmail: serviceAccountEmail(ga4Credentials),
+    searchConsoleClientEmail: serviceAccountEmail(searchConsoleCredentials)
+  };
+}
+
+/**
+ * Save a shop's connection settings. A blank service account key keeps the one
+ * already stored. Anything that changes a connection marks it untested.
+ */
+export async function saveAnalyticsConnection(shopId, {
+  ga4PropertyId,
+  ga4ServiceAccount,
+  bigQueryProjectId,
+  bigQueryDatasetId,
+  searchConsoleSiteUrl,
+  searchConsoleServiceAccount
+}) {
+  const existing = await db.analyticsConnection.findUnique({ where: { shopId } });
+
+  const ga4 = {
+    ga4PropertyId: normalizePropertyId(ga4PropertyId),
+    ...(ga4ServiceAccount?.trim() && { ga4Credentials: encrypt(JSON.stringify(parseServiceAccount(ga4ServiceAccount))) }),
+    bigQueryProjectId: normalizeBigQueryProjectId(bigQueryProjectId),
+    bigQueryDatasetId: normalizeBigQueryDatasetId(bigQueryDatasetId)
+  };
+  const searchConsole = {
+    searchConsoleSiteUrl: searchConsoleSiteUrl?.trim() || null,
+    ...(searchConsoleServiceAccount?.trim() && { searchConsoleCredentials: encrypt(JSON.stringify(parseServiceAccount(searchConsoleServiceAccount))) })
+  };
+
+  const ga4Changed = ga4.ga4Credentials || ga4.ga4PropertyId !== existing?.ga4PropertyId;
+  const searchConsoleChanged = searchConsole.searchConsoleCredentials || searchConsole.searchConsoleSiteUrl !== existing?.searchConsoleSiteUrl;
+
+  const data = {
+    ...ga4,
+    ...searchConsole,
+    ...(ga4Changed && { ga4Status: "not_connected", ga4Error: null, ga4TestedAt: null }),
+    ...(searchConsoleChanged && { searchConsoleStatus: "not_connected", searchConsoleError: null, searchConsoleTestedAt: null })
+  };
+
+  return await db.analyticsConnection.upsert({
+    where: { shopId },
+    update: data,
+    create: { ...data, shopId }
+  });
+}
+
+/**
+ * Remove a shop's stored settings and keys for one service ("ga4" or "searchConsole")
+ */
+export async function disconnectAnalytics(shopId, service) {
+  const data = service === "ga4"
+    ? { ga4PropertyId: null, ga4Credentials: null, ga4Status: "not_connected", ga4Error: null, ga4TestedAt: null, bigQueryProjectId: null, bigQueryDatasetId: null }
+    : { searchConsoleSiteUrl: null, searchConsoleCredentials: null, searchConsoleStatus: "not_connected", searchConsoleError: null, searchConsoleTestedAt: null };
+
+  await db.analyticsConnection.updateMany({ where: { shopId }, data });
+}
+
+/**
+ * GA4 Data API client for a shop. Throws if GA4 isn't configured.
+ */
+export async function getGa4Client(shopId) {
+  const connection = await db.analyticsConnection.findUnique({ where: { shopId } });
+  if (!connection?.ga4PropertyId || !connection.ga4Credentials) {
+    throw new Error("Google Analytics is not connected for this shop");
+  }
+
+  const credentials = JSON.parse(decrypt(connection.ga4Credentials));
+  return {
+    client: new BetaAnalyticsDataClient({
+      credentials: { client_email: credentials.client_email, private_key: credentials.private_key },
+      projectId: credentials.project_id
+    }),
+    propertyId: connection.ga4PropertyId
+  };
+}
+
+/**
+ * BigQuery client for the shop's GA4 export, authenticated with the GA4
+ * service account. Throws if GA4 or the export isn't configured.
+ */
+export async function getBigQueryClient(shopId) {
+  const connection = await db.analyticsConnection.findUnique({ where: { shopId } });
+  if (!connection?.bigQueryProjectId || !connection.bigQueryDatasetId || !connection.ga4Credentials) {
+    throw new Error("The GA4 BigQuery export is not configured for this shop");
+  }
+
+  // Both end up in table references in the export queries, so never trust
+  // values stored before they were validated
+  const projectId = normalizeBigQueryProjectId(connection.bigQueryProjectId);
+  const datasetId = normalizeBigQueryDatasetId(connection.bigQueryDatasetId);
+
+  const credentials = JSON.parse(decrypt(connection.ga4Credentials));
+  return {
+    bigquery: new BigQuery({
+      projectId,
+      credentials: { client_email: credentials.client_email, private_key: credentials.private_key }
+    }),
+    projectId,
+    datasetId
+  };
+}
+
+/**
+ * Search Console API client for a shop. Throws if Search Console isn't configured.
+ */
+export async function getSearchConsoleClient(shopId) {
+  const connection = await db.analyticsConnection.findUnique({ where: { shopId } });
+  if (!connection?.searchConsoleSiteUrl || !connection.searchConsoleCredentials) {
+    throw new Error("Search Console is not connected for this shop");
+  }
+
+  const credentials = JSON.parse(decrypt(connection.searchConsoleCredentials));
+  const auth = new google.auth.GoogleAuth({ credentials, scopes: SEARCH_CONSOLE_SCOPES });
+
+  return {
+    searchconsole: google.searchconsole({ version: "v1", auth }),
+    siteUrl: connection.searchConsoleSiteUrl
+  };
+}
+
+/**
+ * Run a one-row report against the shop's GA4 property and record the result
+ */
+export async function testGa4Connection(shopId) {
+  try {
+    const { client, propertyId } = await getGa4Client(shopId);
+    const [response] = await client.runReport({
+      property: `properties/${propertyId}`,
+      dateRanges: [{ startDate: "7daysAgo", endDate: "today" }],
+      dimensions: [{ name: "date" }],
+      metrics: [{ name: "sessions" }],
+      limit: 1
+    });
+
+    const message = response.rows?.length
+      ? "Connected to Google Analytics"
+      : "Connected to Google Analytics, but there is no data for the last 7 days";
+    await recordTestResult(shopId, "ga4", null);
+    return { success: true, message };
+  } catch (error) {
+    console.error(`❌ GA4 connection test failed for shop ${shopId}:`, error.message);
+    await recordTestResult(shopId, "ga4", error.message);
+    return { success: false, message: error.message };
+  }
+}
+
+/**
+ * Check the shop's service account can read its Search Console site and record the result.
+ * The stored site URL is corrected to the exact form Search Console uses
+ * (e.g. with a trailing slash or as a sc-domain: property).
+ */
+export async function testSearchConsoleConnection(shopId) {
+  try {
+    const { searchconsole, siteUrl } = await getSearchConsoleClient(shopId);
+    const sitesResponse = await searchconsole.sites.list();
+    const sites = sitesResponse.data.siteEntry || [];
+
+    const domain = siteUrl.replace(/^https?:\/\//, "").replace(/\/$/, "");
+    const site = sites.find(entry => entry.siteUrl === siteUrl)
+      || sites.find(entry => entry.siteUrl === `${siteUrl}/`)
+      || sites.find(entry => entry.siteUrl === `sc-domain:${domain}`)
+      || sites.find(entry => entry.siteUrl.includes(domain));
+
+    if (!site) {
+      const available = sites.map(entry => entry.siteUrl).join(", ") || "none";
+      throw new Error(`The service account has no access to ${siteUrl} in Search Console (sites it can see: ${available})`);
+    }
+
+    if (site.siteUrl !== siteUrl) {
+      await db.analyticsConnection.update({
+        where: { shopId },
+        data: { searchConsoleSiteUrl: site.siteUrl }
+      });
+    }
+
+    await recordTestResult(shopId, "searchConsole", null);
+    return { success: true, message: `Connected to ${site.siteUrl} with ${site.permissionLevel} access` };
+  } catch (error) {
+    console.error(`❌ Search Console connection test failed for shop ${shopId}:`, error.message);
+    await recordTestResult(shopId, "searchConsole", error.message);
+    return { success: false, message: error.message };
+  }
+}
+
+/**
+ * Validate a pasted service account key file and keep only what the clients need
+ */
+export function parseServiceAccount(json) {
+  let key;
+  try {
+    key = JSON.parse(json);
+  } catch {
+    throw new Error("The service account key is not valid JSON");
+  }
+
+  if (key.type !== "service_account" || !key.client_email || !key.private_key) {
+    throw new Error("Paste the full JSON key of a Google service account");
+  }
+
+  return {
+    type: key.type,
+    project_id: key.project_id,
+    client_email: key.client_email,
+    private_key: key.private_key
+  };
+}
+
+// Accepts "123456789" or "properties/123456789"
+function normalizePropertyId(propertyId) {
+  const value = propertyId?.trim().replace(/^properties\//, "");
+  if (!value) return null;
+  if (!/^\d+$/.test(value)) {
+    throw new Error("The GA4 property ID should be a number like 123456789");
+  }
+  return value;
+}
+
+// Google Cloud project ids: 6-30 lowercase letters, digits and hyphens
+function normalizeBigQueryProjectId(projectId) {
+  const value = projectId?.trim();
+  if (!value) return null;
+  if (!/^[a-z][a-z0-9-]{4,28}[a-z0-9]$/.test(value)) {
+    throw new Error("The BigQuery project ID should look like my-project-123 (lowercase letters, digits and hyphens)");
+  }
+  return value;
+}
+
+// BigQuery dataset ids: letters, digits and underscores
+function normalizeBigQueryDatasetId(datasetId) {
+  const value = datasetId?.trim();
+  if (!value) return null;
+  if (!/^\w{1,1024}$/.test(value)) {
+    throw new Error("The BigQuery dataset ID should look like analytics_123456789 (letters, digits and underscores)");
+  }
+  return value;
+}
+
+function serviceAccountEmail(encrypted) {
+  if (!encrypted) return null;
+  try {
+    return JSON.parse(decrypt(encrypted)).client_email;
+  } catch {
+    // Key was rotated or the value is corrupt, the merchant has to upload it again
+    return null;
+  }
+}
+
+async function recordTestResult(shopId, service, errorMessage) {
+  await db.analyticsConnection.updateMany({
+    where: { shopId },
+    data: {
+      [`${service}Status`]: errorMessage ? "error" : "connected",
+      [`${service}Error`]: errorMessage,
+      [`${service}TestedAt`]: new Date()
+    }
+  });
+}
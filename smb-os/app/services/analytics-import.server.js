@@ -0,0 +1,273 @@
+import db from "../db.server.js";
+import { importGa4Reports } from "./ga4-import.server.js";
+import { importSearchConsoleData } from "./search-console-import.server.js";
+import { importBigQueryEvents } from "./bigquery-import.server.js";
+
+/**
+ * Scheduled imports from each shop's Google Analytics 4 property, Search
+ * Console site and GA4 BigQuery export.
+ *
+ * A run only fetches the days since the shop's last import of that source
+ * (the first run backfills initialDays), and is recorded in SyncLog with the
+ * source as entityType and the last day it imported as cursor. scripts/runAnalyticsImports.js runs
+ * whatever is due every ANALYTICS_IMPORT_INTERVAL_HOURS, and the Analytics
+ * page can start a run right away.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_INTERVAL_HOURS = 24;
+// A run still marked started after this long is assumed to have died with its process
+const RUN_TIMEOUT_MS = 2 * 60 * 60 * 1000;
+
+export const ANALYTICS_SOURCES = {
+  ga4: {
+    label: "Google Analytics 4",
+    initialDays: 365,
+    // GA4 keeps processing the last few days, so they are imported again
+    overlapDays: 3,
+    endOffsetDays: 0,
+    isConfigured: (connection) => Boolean(connection.ga4PropertyId && connection.ga4Credentials),
+    run: importGa4Reports
+  },
+  search_console: {
+    label: "Search Console",
+    initialDays: 365,
+    // Search Console data arrives two to three days late
+    overlapDays: 3,
+    endOffsetDays: 0,
+    isConfigured: (connection) => Boolean(connection.searchConsoleSiteUrl && connection.searchConsoleCredentials),
+    run: importSearchConsoleData
+  },
+  bigquery: {
+    label: "BigQuery export",
+    initialDays: parseInt(process.env.BIGQUERY_IMPORT_INITIAL_DAYS) || 30,
+    // Daily export tables are final once the day is over, and events are inserted, not upserted
+    overlapDays: 0,
+    endOffsetDays: 1,
+    isConfigured: (connection) => Boolean(connection.bigQueryProjectId && connection.bigQueryDatasetId && connection.ga4Credentials),
+    run: importBigQueryEvents
+  }
+};
+
+/**
+ * Import one source for a shop now. syncType is recorded on the SyncLog
+ * ("manual" or "scheduled"). Pass window ({ startDate, endDate }) to backfill
+ * a specific range instead; backfills don't move the schedule's watermark.
+ * Returns { status, recordsProcessed, recordsTotal, window }, or
+ * { status: "skipped", reason } if a run is in progress or there are no new
+ * days to import.
+ */
+export async function runAnalyticsImport(shopId, source, { syncType = "manual", now = new Date(), window: backfillWindow = null } = {}) {
+  const config = getSource(source);
+
+  const connection = await db.analyticsConnection.findUnique({ where: { shopId } });
+  if (!connection || !config.isConfigured(connection)) {
+    throw new Error(`${config.label} is not connected for this shop`);
+  }
+
+  if (backfillWindow) {
+    validateWindow(backfillWindow);
+    syncType = "backfill";
+  }
+
+  // The connection row lock makes a concurrent run wait and then see this run's log
+  const claim = await db.$transaction(async (tx) => {
+    await tx.$queryRaw`SELECT id FROM "public"."AnalyticsConnection" WHERE id = ${connection.id} FOR UPDATE`;
+
+    const running = await tx.syncLog.findFirst({
+      where: {
+        shopId,
+        entityType: source,
+        status: "started",
+        startedAt: { gt: new Date(now.getTime() - RUN_TIMEOUT_MS) }
+      }
+    });
+    if (running) {
+      return { skipped: `${config.label} import is already running` };
+    }
+
+    const window = backfillWindow ?? await getImportWindow(shopId, source, now);
+    if (!window) {
+      return { skipped: `${config.label} is already up to date` };
+    }
+
+    const syncLog = await tx.syncLog.create({
+      data: { shopId, syncType, entityType: source, status: "started", startedAt: now }
+    });
+    return { window, syncLog };
+  });
+  if (claim.skipped) {
+    return { status: "skipped", reason: claim.skipped };
+  }
+  const { window, syncLog } = claim;
+
+  // Importers that work day by day report each finished day, so a failed
+  // run still moves the watermark past what it imported
+  let importedThrough = null;
+  const onDayImported = async (date, recordsProcessed) => {
+    importedThrough = date;
+    await db.syncLog.update({
+      where: { id: syncLog.id },
+      data: { cursor: date, recordsProcessed }
+    });
+  };
+
+  try {
+    // Importers return the rows they wrote, or { recordsProcessed, recordsTotal }
+    // when the API also reports how many rows it had, plus importedThrough
+    // if they stopped before the end of the window
+    const result = await config.run(shopId, window, { onDayImported });
+    const { recordsProcessed, recordsTotal, importedThrough: lastDay = window.endDate } = typeof result === "number"
+      ? { recordsProcessed: result, recordsTotal: result }
+      : result;
+
+    await db.syncLog.update({
+      where: { id: syncLog.id },
+      data: { status: "completed", recordsProcessed, recordsTotal, cursor: lastDay, completedAt: new Date() }
+    });
+    return { status: "completed", recordsProcessed, recordsTotal, window };
+  } catch (error) {
+    console.error(`❌ ${config.label} import failed for shop ${shopId}:`, error);
+    await db.syncLog.update({
+      where: { id: syncLog.id },
+      data: { status: importedThrough ? "partial" : "failed", errorMessage: error.message, completedAt: new Date() }
+    });
+    return { status: "failed", error: error.message, window, importedThrough };
+  }
+}
+
+/**
+ * Start an import without waiting for it, for requests that shouldn't stay
+ * open for the length of an import
+ */
+export function dispatchAnalyticsImport(shopId, source, options) {
+  runAnalyticsImport(shopId, source, options).catch(error => {
+    console.error(`❌ Failed to dispatch ${source} import for shop ${shopId}:`, error);
+  });
+}
+
+/**
+ * Run every connected source whose last run for the shop is older than
+ * the import interval, one at a time
+ */
+export async function runDueAnalyticsImports({ now = new Date() } = {}) {
+  const intervalMs = (parseFloat(process.env.ANALYTICS_IMPORT_INTERVAL_HOURS) || DEFAULT_INTERVAL_HOURS) * 60 * 60 * 1000;
+  const results = { processed: 0, completed: 0, failed: 0, skipped: 0 };
+
+  // Runs whose process died never finish on their own
+  await db.syncLog.updateMany({
+    where: {
+      entityType: { in: Object.keys(ANALYTICS_SOURCES) },
+      status: "started",
+      startedAt: { lte: new Date(now.getTime() - RUN_TIMEOUT_MS) }
+    },
+    data: { status: "failed", errorMessage: "Import did not finish", completedAt: now }
+  });
+
+  // Uninstalled shops are left alone until they are purged or reinstall
+  const connections = await db.analyticsConnection.findMany({
+    where: { shop: { uninstalledAt: null } }
+  });
+  for (const connection of connections) {
+    for (const [source, config] of Object.entries(ANALYTICS_SOURCES)) {
+      if (!config.isConfigured(connection)) continue;
+
+      const lastRun = await db.syncLog.findFirst({
+        where: { shopId: connection.shopId, entityType: source },
+        orderBy: { startedAt: "desc" }
+      });
+      if (lastRun && now.getTime() - lastRun.startedAt.getTime() < intervalMs) continue;
+
+      let result;
+      try {
+        result = await runAnalyticsImport(connection.shopId, source, { syncType: "scheduled", now });
+      } catch (error) {
+        console.error(`❌ Scheduled ${source} import failed for shop ${connection.shopId}:`, error);
+        result = { status: "failed" };
+      }
+
+      results.processed++;
+      results[result.status]++;
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Import state of each source for the Analytics page
+ */
+export async function getAnalyticsImportStatus(shopId) {
+  const connection = await db.analyticsConnection.findUnique({ where: { shopId } });
+
+  return await Promise.all(Object.entries(ANALYTICS_SOURCES).map(async ([source, config]) => {
+    const [lastRun, lastSuccess] = await Promise.all([
+      db.syncLog.findFirst({
+        where: { shopId, entityType: source },
+        orderBy: { startedAt: "desc" }
+      }),
+      db.syncLog.findFirst({
+        where: { shopId, entityType: source, status: "completed" },
+        orderBy: { startedAt: "desc" }
+      })
+    ]);
+
+    return {
+      source,
+      label: config.label,
+      connected: Boolean(connection && config.isConfigured(connection)),
+      running: lastRun?.status === "started" && Date.now() - lastRun.startedAt.getTime() < RUN_TIMEOUT_MS,
+      lastRun,
+      lastSuccessAt: lastSuccess?.startedAt ?? null
+    };
+  }));
+}
+
+/**
+ * Days to import next as { startDate, endDate } (YYYY-MM-DD, inclusive), or
+ * null if there are none. Continues from the last day a previous run
+ * imported, less overlapDays.
+ */
+export async function getImportWindow(shopId, source, now = new Date()) {
+  const config = getSource(source);
+  const endDate = addDays(now, -config.endOffsetDays);
+
+  const lastImport = await db.syncLog.findFirst({
+    where: { shopId, entityType: source, cursor: { not: null }, syncType: { not: "backfill" } },
+    orderBy: { startedAt: "desc" }
+  });
+
+  const startDate = lastImport
+    ? addDays(new Date(`${lastImport.cursor}T00:00:00Z`), 1 - config.overlapDays)
+    : addDays(endDate, -config.initialDays);
+
+  if (formatDate(startDate) > formatDate(endDate)) return null;
+  return { startDate: formatDate(startDate), endDate: formatDate(endDate) };
+}
+
+function validateWindow({ startDate, endDate }) {
+  const isDay = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value ?? "") && !isNaN(new Date(`${value}T00:00:00Z`).getTime());
+  if (!isDay(startDate) || !isDay(endDate)) {
+    throw new Error("Import dates must be in YYYY-MM-DD format");
+  }
+  if (startDate > endDate) {
+    throw new Error(`Import start date ${startDate} is after end date ${endDate}`);
+  }
+}
+
+function getSource(source) {
+  const config = ANALYTICS_SOURCES[source];
+  if (!config) {
+    throw new Error(`Unknown analytics source: ${source}`);
+  }
+  return config;
+}
+
+function addDays(date, days) {
+  return new Date(date.getTime() + days * DAY_MS);
+}
+
+// Dates are in UTC, as YYYY-MM-DD
+function formatDate(date) {
+  return date.toISOString().split("T")[0];
+}
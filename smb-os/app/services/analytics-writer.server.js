@@ -0,0 +1,138 @@
+import { Prisma } from "@prisma/client";
+import db from "../db.server.js";
+
+/**
+ * Batched writes for the analytics importers.
+ *
+ * Upserting a year of GA4 or Search Console rows one by one takes hours, so
+ * rows are written BATCH_SIZE at a time as a single
+ * INSERT ... ON CONFLICT DO UPDATE statement per batch, keyed on the table's
+ * unique constraint.
+ */
+
+export const BATCH_SIZE = 1000;
+
+// Postgres allows 65535 bind parameters per statement
+const MAX_PARAMETERS = 60000;
+
+// GA4's own marker for a missing dimension value. Postgres never matches
+// NULLs in a unique constraint, so key columns can't be left empty.
+const NOT_SET = "(not set)";
+
+// Upsertable tables in the google_analytics schema and their unique keys.
+// Columns are named after the Prisma fields (the models have no @map).
+const UPSERT_TABLES = {
+  googleAnalyticsSession: {
+    table: "GoogleAnalyticsSession",
+    key: ["shopId", "sessionId"]
+  },
+  googleAnalyticsTrafficSource: {
+    table: "GoogleAnalyticsTrafficSource",
+    key: ["sessionId"],
+    timestamps: ["createdAt"]
+  },
+  googleAnalyticsHistoricalSessions: {
+    table: "GoogleAnalyticsHistoricalSessions",
+    key: ["shopId", "date", "source", "medium", "deviceCategory", "country"]
+  },
+  googleAnalyticsHistoricalPages: {
+    table: "GoogleAnalyticsHistoricalPages",
+    key: ["shopId", "date", "pagePath"]
+  },
+  googleAnalyticsHistoricalTraffic: {
+    table: "GoogleAnalyticsHistoricalTraffic",
+    key: ["shopId", "date", "source", "medium", "campaignName"]
+  },
+  googleAnalyticsHistoricalDevices: {
+    table: "GoogleAnalyticsHistoricalDevices",
+    key: ["shopId", "date", "deviceCategory", "operatingSystem", "browser"]
+  },
+  googleAnalyticsHistoricalGeo: {
+    table: "GoogleAnalyticsHistoricalGeo",
+    key: ["shopId", "date", "country", "region", "city"]
+  },
+  googleAnalyticsHistoricalSearch: {
+    table: "GoogleAnalyticsHistoricalSearch",
+    key: ["shopId", "date", "query", "page", "country", "device"]
+  }
+};
+
+/**
+ * Insert or update rows of one of the tables above, in batches. Rows are
+ * plain objects with the same columns; createdAt and updatedAt are filled in.
+ * Pass a transaction client as `client` to write inside it.
+ * Returns the number of rows written.
+ */
+export async function upsertAnalyticsRows(model, rows, { client = db, label = model } = {}) {
+  const config = UPSERT_TABLES[model];
+  if (!config) {
+    throw new Error(`No batched upsert configured for ${model}`);
+  }
+  if (rows.length === 0) return 0;
+
+  const timestamps = config.timestamps ?? ["createdAt", "updatedAt"];
+  const now = new Date();
+  const prepared = dedupeByKey(
+    rows.map(row => normalizeKey(config.key, { ...row, ...Object.fromEntries(timestamps.map(column => [column, now])) })),
+    config.key
+  );
+
+  const columns = Object.keys(prepared[0]);
+  const updateColumns = columns.filter(column => !config.key.includes(column) && column !== "createdAt");
+  const batchSize = Math.min(BATCH_SIZE, Math.floor(MAX_PARAMETERS / columns.length));
+
+  const into = Prisma.raw(`"google_analytics"."${config.table}" (${columns.map(quote).join(", ")})`);
+  const conflict = Prisma.raw(`(${config.key.map(quote).join(", ")})`);
+  const update = Prisma.raw(updateColumns.length > 0
+    ? `DO UPDATE SET ${updateColumns.map(column => `${quote(column)} = EXCLUDED.${quote(column)}`).join(", ")}`
+    : "DO NOTHING");
+
+  let written = 0;
+  for (let i = 0; i < prepared.length; i += batchSize) {
+    const batch = prepared.slice(i, i + batchSize);
+    const values = Prisma.join(batch.map(row => Prisma.sql`(${Prisma.join(columns.map(column => row[column] ?? null))})`));
+
+    await client.$executeRaw`INSERT INTO ${into} VALUES ${values} ON CONFLICT ${conflict} ${update}`;
+
+    written += batch.length;
+    console.log(`💾 ${label}: wrote ${written}/${prepared.length} rows`);
+  }
+
+  return written;
+}
+
+/**
+ * Insert rows with createMany in batches, for append-only tables like
+ * events and pageviews. Returns the number of rows inserted.
+ */
+export async function insertAnalyticsRows(model, rows, { client = db, label = model } = {}) {
+  let written = 0;
+  for (let i = 0; i < rows.length; i += BATCH_SIZE) {
+    const { count } = await client[model].createMany({ data: rows.slice(i, i + BATCH_SIZE) });
+    written += count;
+    console.log(`💾 ${label}: wrote ${written}/${rows.length} rows`);
+  }
+  return written;
+}
+
+function normalizeKey(key, row) {
+  for (const column of key) {
+    if (row[column] === null || row[column] === undefined || row[column] === "") {
+      row[column] = NOT_SET;
+    }
+  }
+  return row;
+}
+
+// A batch can't update the same row twice, so only the last row per key is kept
+function dedupeByKey(rows, key) {
+  const byKey = new Map();
+  for (const row of rows) {
+    byKey.set(JSON.stringify(key.map(column => row[column])), row);
+  }
+  return [...byKey.values()];
+}
+
+function quote(column) {
+  return `"${column}"`;
+}
@@ -187,7 +187,7 @@ export async function getAnalyticsSummary() {
         updatedAt: true,
         _count: {
           select: {
-            products: true,
+            products: { where: { deletedAt: null } },
             customers: true,
             orders: true
           }
@@ -203,17 +203,8 @@ export async function getAnalyticsSummary() {
       new Date(shop.updatedAt) > thirtyDaysAgo
     ).length;
 
-    // Get total webhook events from the queue file
-    let totalWebhooks = 0;
-    try {
-      const fs = await import("fs/promises");
-      const path = await import("path");
-      const queuePath = path.resolve("./webhook-queue-products-create.jsonl");
-      const queueContent = await fs.readFile(queuePath, "utf8");
-      totalWebhooks = queueContent.split('\n').filter(line => line.trim()).length;
-    } catch (error) {
-      console.log("No webhook queue file found, setting count to 0");
-    }
+    // Get total webhook events received through the queue
+    const totalWebhooks = await db.webhookEvent.count();
 
     // Get popular features from database
     const featureUsage = await db.featureUsage.groupBy({
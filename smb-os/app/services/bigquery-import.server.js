@@ -0,0 +1,316 @@
+import db from "../db.server.js";
+import { getBigQueryClient } from "./analytics-connections.server.js";
+import { loadChannelGrouper } from "./channel-groups.server.js";
+import { BATCH_SIZE, upsertAnalyticsRows, insertAnalyticsRows } from "./analytics-writer.server.js";
+
+/**
+ * Imports a shop's GA4 BigQuery export into GoogleAnalyticsSession,
+ * GoogleAnalyticsTrafficSource, GoogleAnalyticsEvent and
+ * GoogleAnalyticsPageview, one daily events_YYYYMMDD table at a time.
+ *
+ * Every event is imported, with its ecommerce fields and items array for
+ * events like view_item, add_to_cart and purchase. Query results are
+ * streamed and written in batches, so a busy day doesn't have to fit in
+ * memory. Events and pageviews are inserted rather than upserted, so a day's
+ * previously imported events are deleted before it is imported again.
+ * Sessions that run past midnight keep the values from the later day.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Value of an event parameter, whichever type it was logged as
+const paramValue = (key) => `(SELECT COALESCE(value.string_value, CAST(value.int_value AS STRING), CAST(value.float_value AS STRING), CAST(value.double_value AS STRING)) FROM UNNEST(event_params) WHERE key = '${key}')`;
+const SESSION_ID = "(SELECT value.int_value FROM UNNEST(event_params) WHERE key = 'ga_session_id')";
+
+// First non-null value of an expression within a session
+const first = (expression) => `ARRAY_AGG(${expression} IGNORE NULLS ORDER BY event_timestamp LIMIT 1)[SAFE_OFFSET(0)]`;
+
+/**
+ * Import the daily tables for startDate..endDate (YYYY-MM-DD, inclusive),
+ * oldest first. onDayImported(date, recordsSoFar) is awaited after each day.
+ *
+ * Returns { recordsProcessed, recordsTotal, importedThrough }. A missing
+ * table for the last day (GA4 hasn't exported it yet) ends the import early,
+ * with importedThrough set to the last day that was imported.
+ */
+export async function importBigQueryEvents(shopId, { startDate, endDate }, { onDayImported } = {}) {
+  const { bigquery, projectId, datasetId } = await getBigQueryClient(shopId);
+  const classify = await loadChannelGrouper(shopId);
+
+  console.log(`🗄️ Importing BigQuery export for shop ${shopId} from ${startDate} to ${endDate}`);
+
+  let recordsProcessed = 0;
+  let importedThrough = null;
+
+  for (let day = startDate; day <= endDate; day = nextDay(day)) {
+    const table = `\`${projectId}.${datasetId}.events_${day.replaceAll("-", "")}\``;
+
+    let dayCount;
+    try {
+      dayCount = await importDay(shopId, bigquery, table, day, classify);
+    } catch (error) {
+      if (!isTableNotFound(error)) throw error;
+      if (day === endDate) {
+        console.warn(`⚠️ ${table} hasn't been exported yet, stopping at ${importedThrough ?? "the previous day"}`);
+        break;
+      }
+      // Gaps happen when the export was paused; there's nothing to import for the day
+      console.warn(`⚠️ ${table} doesn't exist, skipping ${day}`);
+      dayCount = 0;
+    }
+
+    recordsProcessed += dayCount;
+    importedThrough = day;
+    console.log(`Imported ${dayCount} BigQuery rows for ${day}`);
+    await onDayImported?.(day, recordsProcessed);
+  }
+
+  console.log(`✅ Imported ${recordsProcessed} BigQuery rows for shop ${shopId}`);
+  return { recordsProcessed, recordsTotal: recordsProcessed, importedThrough };
+}
+
+async function importDay(shopId, bigquery, table, day, classify) {
+  // Sessions first, so events can be linked to them
+  const sessionRows = streamQuery(bigquery, `
+    SELECT
+      user_pseudo_id,
+      ga_session_id,
+      MIN(event_timestamp) AS session_start_timestamp,
+      MAX(event_timestamp) AS session_end_timestamp,
+      ${first("COALESCE(collected_traffic_source.manual_source, traffic_source.source)")} AS source,
+      ${first("COALESCE(collected_traffic_source.manual_medium, traffic_source.medium)")} AS medium,
+      ${first("COALESCE(collected_traffic_source.manual_campaign_name, traffic_source.name)")} AS campaign_name,
+      ${first("collected_traffic_source.manual_content")} AS campaign_content,
+      ${first("collected_traffic_source.manual_term")} AS campaign_term,
+      ${first(paramValue("page_referrer"))} AS page_referrer,
+      ANY_VALUE(device.category) AS device_category,
+      ANY_VALUE(device.operating_system) AS platform,
+      ANY_VALUE(geo.country) AS country,
+      ANY_VALUE(geo.region) AS region,
+      ANY_VALUE(geo.city) AS city,
+      LOGICAL_OR(${paramValue("session_engaged")} = '1') AS engaged,
+      SUM(CAST(${paramValue("engagement_time_msec")} AS INT64)) AS engagement_time_msec
+    FROM (SELECT *, ${SESSION_ID} AS ga_session_id FROM ${table})
+    WHERE ga_session_id IS NOT NULL
+    GROUP BY user_pseudo_id, ga_session_id
+  `);
+
+  let sessionCount = 0;
+  let trafficCount = 0;
+  let firstEvent = null;
+  let lastEvent = null;
+
+  for await (const rows of inBatches(sessionRows)) {
+    sessionCount += await upsertAnalyticsRows("googleAnalyticsSession", rows.map(row => toSession(shopId, row, classify)), {
+      label: `BigQuery sessions ${day}`
+    });
+
+    const sessionIds = await findSessionIds(shopId, rows);
+    trafficCount += await upsertAnalyticsRows("googleAnalyticsTrafficSource", rows.map(row => toTrafficSource(shopId, sessionIds, row, day, classify)), {
+      label: `BigQuery traffic sources ${day}`
+    });
+
+    for (const row of rows) {
+      const start = parseTimestamp(row.session_start_timestamp);
+      const end = parseTimestamp(row.session_end_timestamp);
+      if (!firstEvent || start < firstEvent) firstEvent = start;
+      if (!lastEvent || end > lastEvent) lastEvent = end;
+    }
+  }
+
+  if (sessionCount === 0) return 0;
+
+  // Importing a day again replaces its events. Events from the Data API
+  // importer belong to sessions without a userPseudoId and are left alone.
+  const previous = { shopId, eventTime: { gte: firstEvent, lte: lastEvent }, session: { userPseudoId: { not: null } } };
+  await db.googleAnalyticsEvent.deleteMany({ where: previous });
+  await db.googleAnalyticsPageview.deleteMany({ where: previous });
+
+  const eventRows = streamQuery(bigquery, `
+    SELECT
+      user_pseudo_id,
+      ${SESSION_ID} AS ga_session_id,
+      event_name,
+      event_timestamp,
+      event_params,
+      ecommerce,
+      items
+    FROM ${table}
+    WHERE ${SESSION_ID} IS NOT NULL
+  `);
+
+  let eventCount = 0;
+  let pageviewCount = 0;
+
+  for await (const rows of inBatches(eventRows)) {
+    const sessionIds = await findSessionIds(shopId, rows);
+    const events = [];
+    const pageviews = [];
+
+    for (const row of rows) {
+      const sessionId = sessionIds.get(sessionKey(row));
+      if (!sessionId) continue;
+
+      const eventTime = parseTimestamp(row.event_timestamp);
+      const eventParams = parseEventParams(row.event_params);
+      const ecommerce = compact(row.ecommerce);
+      const items = (row.items || []).map(compact).filter(Boolean);
+
+      events.push({
+        shopId,
+        eventName: row.event_name,
+        eventParams: JSON.stringify({
+          ...eventParams,
+          ...(ecommerce && { ecommerce }),
+          ...(items.length > 0 && { items })
+        }),
+        eventTime,
+        sessionId, // The integer id, not the GA session id
+        createdAt: new Date()
+      });
+
+      const pagePath = row.event_name === "page_view" ? parsePagePath(eventParams.page_location) : null;
+      if (pagePath) {
+        pageviews.push({
+          shopId,
+          pagePath,
+          pageTitle: eventParams.page_title ?? null,
+          pageUrl: eventParams.page_location,
+          referrer: eventParams.page_referrer ?? null,
+          eventTime,
+          sessionId,
+          createdAt: new Date()
+        });
+      }
+    }
+
+    eventCount += await insertAnalyticsRows("googleAnalyticsEvent", events, { label: `BigQuery events ${day}` });
+    pageviewCount += await insertAnalyticsRows("googleAnalyticsPageview", pageviews, { label: `BigQuery pageviews ${day}` });
+  }
+
+  console.log(`Imported ${sessionCount} sessions, ${eventCount} events and ${pageviewCount} pageviews for ${day}.`);
+  return sessionCount + trafficCount + eventCount + pageviewCount;
+}
+
+function toSession(shopId, row, classify) {
+  return {
+    shopId,
+    sessionId: sessionKey(row),
+    userPseudoId: row.user_pseudo_id,
+    sessionStart: parseTimestamp(row.session_start_timestamp),
+    sessionSource: row.source,
+    sessionMedium: row.medium,
+    sessionCampaignName: row.campaign_name,
+    sessionCampaignContent: row.campaign_content,
+    sessionCampaignTerm: row.campaign_term,
+    sessionDefaultChannelGroup: classify(row.source, row.medium, row.campaign_name),
+    pageReferrer: row.page_referrer,
+    deviceCategory: row.device_category,
+    platform: row.platform,
+    country: row.country,
+    region: row.region,
+    city: row.city,
+    sessions: 1,
+    engagedSessions: row.engaged ? 1 : 0,
+    engagementTime: row.engagement_time_msec ? Number(row.engagement_time_msec) / 1000 : null, // Convert to seconds
+    sessionDuration: (parseTimestamp(row.session_end_timestamp) - parseTimestamp(row.session_start_timestamp)) / 1000
+  };
+}
+
+function toTrafficSource(shopId, sessionIds, row, day, classify) {
+  return {
+    shopId,
+    sessionId: sessionIds.get(sessionKey(row)),
+    date: new Date(`${day}T00:00:00Z`),
+    source: row.source || "(direct)",
+    medium: row.medium || "(none)",
+    campaignName: row.campaign_name,
+    channelGroup: classify(row.source, row.medium, row.campaign_name),
+    referrer: row.page_referrer,
+    deviceCategory: row.device_category || "(not set)",
+    platform: row.platform || "(not set)",
+    country: row.country || "(not set)",
+    sessions: 1,
+    engagedSessions: row.engaged ? 1 : 0,
+    engagementDuration: row.engagement_time_msec ? Math.round(Number(row.engagement_time_msec) / 1000) : 0,
+    avgSessionDuration: (parseTimestamp(row.session_end_timestamp) - parseTimestamp(row.session_start_timestamp)) / 1000,
+    createdAt: new Date()
+  };
+}
+
+// GoogleAnalyticsSession.sessionId for BigQuery sessions
+function sessionKey(row) {
+  return `${row.user_pseudo_id}_${row.ga_session_id}`;
+}
+
+// Map BigQuery rows' session keys to GoogleAnalyticsSession ids
+async function findSessionIds(shopId, rows) {
+  const keys = [...new Set(rows.map(sessionKey))];
+  const sessions = await db.googleAnalyticsSession.findMany({
+    where: { shopId, sessionId: { in: keys } },
+    select: { id: true, sessionId: true }
+  });
+  return new Map(sessions.map(session => [session.sessionId, session.id]));
+}
+
+function streamQuery(bigquery, query) {
+  // Integers as numbers; event timestamps and session ids fit well within 2^53
+  return bigquery.createQueryStream({ query, wrapIntegers: false });
+}
+
+// Group a row stream into arrays of BATCH_SIZE
+async function* inBatches(stream) {
+  let batch = [];
+  for await (const row of stream) {
+    batch.push(row);
+    if (batch.length >= BATCH_SIZE) {
+      yield batch;
+      batch = [];
+    }
+  }
+  if (batch.length > 0) yield batch;
+}
+
+function isTableNotFound(error) {
+  return error.code === 404 || /Not found: Table/i.test(error.message);
+}
+
+// Flatten BigQuery's [{ key, value: { string_value, int_value, ... } }] event params
+function parseEventParams(params) {
+  const eventParams = {};
+  if (!Array.isArray(params)) return eventParams;
+
+  for (const param of params) {
+    if (!param.key || !param.value) continue;
+    const value = param.value.string_value ?? param.value.int_value ?? param.value.float_value ?? param.value.double_value;
+    if (value !== null && value !== undefined) {
+      eventParams[param.key] = value;
+    }
+  }
+  return eventParams;
+}
+
+// Drop null fields from an ecommerce or item struct; null if nothing is left
+function compact(struct) {
+  if (!struct) return null;
+  const entries = Object.entries(struct).filter(([, value]) => value !== null && value !== undefined);
+  return entries.length > 0 ? Object.fromEntries(entries) : null;
+}
+
+function parsePagePath(pageLocation) {
+  if (!pageLocation) return null;
+  try {
+    return new URL(pageLocation).pathname;
+  } catch {
+    return null;
+  }
+}
+
+// BigQuery timestamps are in microseconds
+function parseTimestamp(timestampMicros) {
+  return new Date(Number(timestampMicros) / 1000);
+}
+
+function nextDay(day) {
+  return new Date(new Date(`${day}T00:00:00Z`).getTime() + DAY_MS).toISOString().split("T")[0];
+}
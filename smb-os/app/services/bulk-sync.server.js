@@ -0,0 +1,394 @@
+import readline from "readline";
+import { Readable } from "stream";
+import db from "../db.server.js";
+import { normalizeCollection, setProductCollections } from "./collection-sync.server.js";
+import { normalizeProduct } from "./product-normalizer.server.js";
+import { upsertProduct } from "./product-sync.server.js";
+
+/**
+ * Product sync through the Bulk Operations API.
+ *
+ * Paged syncs cap variants and images per product; a bulk query has no such
+ * limits. Shopify runs the query in the background and produces a JSONL file
+ * in which nested records (variants, images, collections) are separate lines
+ * pointing at their product through __parentId.
+ *
+ * The SyncLog row carries the bulk operation id so the result can be imported
+ * either by the process that started it (polling) or by the
+ * bulk_operations/finish webhook, whichever claims it first. A claim whose
+ * lockedAt has gone stale belongs to a process that died mid-import and can
+ * be taken over.
+ *
+ * Functions here take an AdminGraphQLClient, so their calls share the shop's
+ * rate limit with the rest of the sync.
+ */
+
+const TERMINAL_STATUSES = ["COMPLETED", "FAILED", "CANCELED", "EXPIRED"];
+const POLL_INTERVAL_MS = 5000;
+// An "importing" log whose lock is older than this is assumed to belong to a crashed process
+const IMPORT_LOCK_TIMEOUT_MS = 10 * 60 * 1000;
+
+function bulkProductsQuery(updatedSince) {
+  const filter = updatedSince ? `(query: "updated_at:>'${updatedSince.toISOString()}'")` : "";
+
+  return `{
+    products${filter} {
+      edges {
+        node {
+          id
+          title
+          handle
+          vendor
+          productType
+          descriptionHtml
+          tags
+          options {
+            name
+            position
+            values
+          }
+          seo {
+            title
+            description
+          }
+          status
+          createdAt
+          updatedAt
+          variants {
+            edges {
+              node {
+                id
+                title
+                price
+                sku
+                inventoryQuantity
+                inventoryItem {
+                  id
+                }
+                createdAt
+                updatedAt
+              }
+            }
+          }
+          images {
+            edges {
+              node {
+                id
+                altText
+                width
+                height
+                url
+              }
+            }
+          }
+          collections {
+            edges {
+              node {
+                id
+                handle
+                title
+                updatedAt
+              }
+            }
+          }
+        }
+      }
+    }
+  }`;
+}
+
+/**
+ * Start a bulk product export and record it in a SyncLog.
+ * Pass updatedSince to only export products changed after that date.
+ */
+export async function startBulkProductSync(client, shopId, { updatedSince = null, syncType = "bulk", syncJobId = null, recordsTotal = 0 } = {}) {
+  // Throws ShopifyUserError when it is refused, most commonly because
+  // another bulk query is already running for this shop
+  const data = await client.request(`
+    mutation runBulkProductQuery($query: String!) {
+      bulkOperationRunQuery(query: $query) {
+        bulkOperation {
+          id
+          status
+        }
+        userErrors {
+          field
+          message
+        }
+      }
+    }
+  `, {
+    variables: { query: bulkProductsQuery(updatedSince) }
+  });
+
+  const { bulkOperation } = data.bulkOperationRunQuery;
+
+  console.log(`📦 Started bulk product export ${bulkOperation.id}`);
+
+  return await db.syncLog.create({
+    data: {
+      shopId,
+      syncType,
+      entityType: "products",
+      status: "started",
+      recordsTotal,
+      bulkOperationId: bulkOperation.id,
+      syncJobId
+    }
+  });
+}
+
+/**
+ * Fetch the current state of a bulk operation
+ */
+export async function getBulkOperation(client, bulkOperationId) {
+  const data = await client.request(`
+    query getBulkOperation($id: ID!) {
+      node(id: $id) {
+        ... on BulkOperation {
+          id
+          status
+          errorCode
+          objectCount
+          url
+          partialDataUrl
+        }
+      }
+    }
+  `, {
+    variables: { id: bulkOperationId }
+  });
+
+  return data.node;
+}
+
+/**
+ * Ask Shopify to cancel a running bulk operation. It finishes as CANCELED
+ * shortly after, without a result to import.
+ */
+export async function cancelBulkOperation(client, bulkOperationId) {
+  const data = await client.request(`
+    mutation cancelBulkOperation($id: ID!) {
+      bulkOperationCancel(id: $id) {
+        bulkOperation {
+          id
+          status
+        }
+        userErrors {
+          field
+          message
+        }
+      }
+    }
+  `, {
+    variables: { id: bulkOperationId }
+  });
+
+  console.log(`🛑 Cancelling bulk operation ${bulkOperationId}`);
+  return data.bulkOperationCancel.bulkOperation;
+}
+
+/**
+ * Poll until the bulk operation reaches a terminal status.
+ * onPoll runs before every check and may throw to stop waiting.
+ */
+export async function waitForBulkOperation(client, bulkOperationId, { intervalMs = POLL_INTERVAL_MS, onPoll } = {}) {
+  while (true) {
+    if (onPoll) await onPoll();
+
+    const operation = await getBulkOperation(client, bulkOperationId);
+    if (TERMINAL_STATUSES.includes(operation.status)) {
+      return operation;
+    }
+
+    console.log(`⏳ Bulk operation ${bulkOperationId}: ${operation.status} (${operation.objectCount} objects)`);
+    await new Promise(resolve => setTimeout(resolve, intervalMs));
+  }
+}
+
+/**
+ * Import the result of a finished bulk operation and close its SyncLog.
+ * Returns null if another process holds the import or already finished it.
+ */
+export async function finishBulkProductSync(client, syncLog) {
+  // Claim the import so polling and the webhook can't both run it
+  const now = new Date();
+  const { count } = await db.syncLog.updateMany({
+    where: {
+      id: syncLog.id,
+      OR: [
+        { status: "started" },
+        { status: "importing", lockedAt: { lt: new Date(now.getTime() - IMPORT_LOCK_TIMEOUT_MS) } }
+      ]
+    },
+    data: { status: "importing", lockedAt: now }
+  });
+  if (count === 0) return null;
+
+  try {
+    const operation = await getBulkOperation(client, syncLog.bulkOperationId);
+
+    if (operation.status !== "COMPLETED") {
+      const message = `Bulk operation ${operation.status.toLowerCase()}${operation.errorCode ? ` (${operation.errorCode})` : ""}`;
+      await db.syncLog.update({
+        where: { id: syncLog.id },
+        data: { status: "failed", errorMessage: message, completedAt: new Date() }
+      });
+      console.error(`❌ ${message}: ${syncLog.bulkOperationId}`);
+      return { status: "failed", recordsProcessed: 0, errorMessage: message };
+    }
+
+    // url is null when the query matched nothing
+    const recordsProcessed = operation.url
+      ? await importBulkProductResults(syncLog.shopId, operation.url, {
+          onProgress: count => db.syncLog.update({
+            where: { id: syncLog.id },
+            data: { recordsProcessed: count, lockedAt: new Date() }
+          })
+        })
+      : 0;
+
+    await db.syncLog.update({
+      where: { id: syncLog.id },
+      data: {
+        status: "completed",
+        recordsProcessed,
+        recordsTotal: recordsProcessed,
+        completedAt: new Date()
+      }
+    });
+
+    console.log(`✅ Imported ${recordsProcessed} products from bulk operation ${syncLog.bulkOperationId}`);
+    return { status: "completed", recordsProcessed };
+  } catch (error) {
+    await db.syncLog.update({
+      where: { id: syncLog.id },
+      data: { status: "failed", errorMessage: error.message, completedAt: new Date() }
+    });
+    throw error;
+  }
+}
+
+/**
+ * Import the result of a finished bulk operation, or wait for the process
+ * that claimed the import to finish it, taking it over if that process died.
+ * onPoll runs before every check and may throw to stop waiting.
+ * Returns { status: "completed" | "failed", recordsProcessed, errorMessage }.
+ */
+export async function waitForBulkProductImport(client, syncLog, { intervalMs = POLL_INTERVAL_MS, onPoll } = {}) {
+  while (true) {
+    const result = await finishBulkProductSync(client, syncLog);
+    if (result) return result;
+
+    const current = await db.syncLog.findUnique({
+      where: { id: syncLog.id },
+      select: { status: true, recordsProcessed: true, errorMessage: true }
+    });
+    if (current.status === "completed") {
+      return { status: "completed", recordsProcessed: current.recordsProcessed };
+    }
+    if (current.status !== "importing") {
+      return { status: "failed", recordsProcessed: current.recordsProcessed, errorMessage: current.errorMessage };
+    }
+
+    console.log(`⏳ Bulk operation ${syncLog.bulkOperationId} is being imported elsewhere (${current.recordsProcessed} products so far)`);
+    await new Promise(resolve => setTimeout(resolve, intervalMs));
+    if (onPoll) await onPoll();
+  }
+}
+
+/**
+ * Stream a bulk operation JSONL file and write each product with all of its
+ * variants, images and collection memberships. Returns the number of products.
+ *
+ * Children normally follow their product directly, so each product is written
+ * as soon as the next one starts. Children that show up anywhere else are
+ * buffered and applied at the end.
+ */
+export async function importBulkProductResults(shopId, url, { onProgress } = {}) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Failed to download bulk operation results: ${response.status}`);
+  }
+
+  const lines = readline.createInterface({
+    input: Readable.fromWeb(response.body),
+    crlfDelay: Infinity
+  });
+
+  // Top-level product fields by gid, for children that arrive after their product was written
+  const written = new Map();
+  const strayChildren = new Map();
+  let current = null;
+  let imported = 0;
+
+  const writeCurrent = async () => {
+    if (!current) return;
+    await saveBulkProduct(shopId, current);
+    written.set(current.node.id, current.node);
+    imported++;
+    if (onProgress && imported % 250 === 0) await onProgress(imported);
+  };
+
+  for await (const line of lines) {
+    if (!line.trim()) continue;
+    const record = JSON.parse(line);
+
+    if (!record.__parentId) {
+      await writeCurrent();
+      // Children may have been seen before their product
+      current = strayChildren.get(record.id) || emptyEntry();
+      current.node = record;
+      strayChildren.delete(record.id);
+      continue;
+    }
+
+    let entry = current?.node.id === record.__parentId ? current : strayChildren.get(record.__parentId);
+    if (!entry) {
+      entry = emptyEntry();
+      strayChildren.set(record.__parentId, entry);
+    }
+    addChild(entry, record);
+  }
+  await writeCurrent();
+
+  for (const [productGid, entry] of strayChildren) {
+    const node = written.get(productGid);
+    if (!node) {
+      console.warn(`⚠️ Bulk result has children for unknown product ${productGid}, skipping`);
+      continue;
+    }
+    // Only add to what was already written for this product
+    await saveBulkProduct(shopId, { ...entry, node }, { replaceCollections: false });
+  }
+
+  return imported;
+}
+
+function emptyEntry() {
+  return { node: null, variants: [], images: [], collections: [] };
+}
+
+function addChild(entry, record) {
+  const { __parentId, ...node } = record;
+  if (node.id.startsWith("gid://shopify/ProductVariant/")) entry.variants.push(node);
+  else if (node.id.startsWith("gid://shopify/ProductImage/")) entry.images.push(node);
+  else if (node.id.startsWith("gid://shopify/Collection/")) entry.collections.push(node);
+}
+
+async function saveBulkProduct(shopId, entry, { replaceCollections = true } = {}) {
+  // Rebuild the nested GraphQL shape so the shared normalizer can be used
+  const product = normalizeProduct({
+    ...entry.node,
+    variants: { nodes: entry.variants },
+    images: { nodes: entry.images }
+  });
+
+  const stored = await upsertProduct(shopId, product);
+  await setProductCollections(
+    shopId,
+    stored.id,
+    entry.collections.map(normalizeCollection),
+    { replace: replaceCollections }
+  );
+}
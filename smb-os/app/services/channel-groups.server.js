@@ -0,0 +1,273 @@
+import db from "../db.server.js";
+
+/**
+ * Channel grouping for imported traffic, following GA4's default channel
+ * group definitions (https://support.google.com/analytics/answer/9756891),
+ * plus an AI Assistants channel for chatbot referrals.
+ *
+ * Shops can add their own rules on the analytics settings page. They are
+ * checked in position order before the defaults, and stored sessions and
+ * traffic rows are reclassified whenever the rules change.
+ * The precedence is checked by scripts/testChannelGroups.js.
+ */
+
+export const DEFAULT_CHANNEL_GROUPS = [
+  "Direct",
+  "Cross-network",
+  "Paid Shopping",
+  "Paid Search",
+  "Paid Social",
+  "Paid Video",
+  "Display",
+  "Paid Other",
+  "AI Assistants",
+  "Organic Shopping",
+  "Organic Social",
+  "Organic Video",
+  "Organic Search",
+  "Referral",
+  "Email",
+  "Affiliates",
+  "Audio",
+  "SMS",
+  "Mobile Push Notifications",
+  "Unassigned"
+];
+
+export const RULE_FIELDS = {
+  source: "Source",
+  medium: "Medium",
+  campaignName: "Campaign"
+};
+
+export const RULE_MATCH_TYPES = {
+  exact: "is exactly",
+  contains: "contains",
+  starts_with: "starts with",
+  ends_with: "ends with",
+  regex: "matches regex"
+};
+
+// Sites by GA4 source category. A site matches the source itself or any
+// of its domains, so "google" covers google.com and google.co.uk.
+const SEARCH_SITES = [
+  "google", "bing", "yahoo", "search.yahoo.com", "duckduckgo", "baidu", "yandex", "ecosia", "naver", "seznam",
+  "qwant", "startpage", "ask", "aol", "search.aol.com", "search.brave.com", "sogou", "so.com", "daum", "yahoo.co.jp",
+  "onet.pl", "startsiden.no", "kvasir", "search-results", "info.com", "dogpile", "lens.google.com"
+];
+const SOCIAL_SITES = [
+  "facebook", "fb", "instagram", "ig", "twitter", "t.co", "x.com", "linkedin", "lnkd.in", "pinterest", "pin.it",
+  "reddit", "tiktok", "snapchat", "tumblr", "threads.net", "bsky.app", "mastodon.social", "quora", "vk.com",
+  "weibo", "wechat", "whatsapp", "messenger", "telegram", "discord", "line.me", "medium.com", "meetup", "nextdoor"
+];
+const VIDEO_SITES = [
+  "youtube", "youtu.be", "vimeo", "dailymotion", "twitch", "wistia", "rumble", "bilibili", "iqiyi", "youku", "ted.com"
+];
+const SHOPPING_SITES = [
+  "shopping.google.com", "google shopping", "merchant.google.com", "shop.app", "amazon", "ebay", "etsy", "walmart",
+  "target.com", "aliexpress", "alibaba", "rakuten", "mercadolibre", "idealo", "pricerunner", "shopzilla", "igshopping"
+];
+const AI_ASSISTANT_SITES = [
+  "chatgpt.com", "chat.openai.com", "openai", "chatgpt", "perplexity", "claude.ai", "gemini.google.com",
+  "bard.google.com", "copilot.microsoft.com", "copilot.com", "edgeservices.bing.com", "you.com", "phind.com",
+  "poe.com", "meta.ai", "chat.deepseek.com", "deepseek", "grok.com", "chat.mistral.ai", "mistral.ai"
+];
+
+const PAID_MEDIUM = /^(.*cp.*|ppc|retargeting|paid.*)$/;
+const SHOPPING_CAMPAIGN = /^(.*(([^a-df-z]|^)shop|shopping).*)$/;
+const DISPLAY_MEDIUMS = ["display", "banner", "expandable", "interstitial", "cpm"];
+const SOCIAL_MEDIUMS = ["social", "social-network", "social-media", "sm", "social network", "social media"];
+const REFERRAL_MEDIUMS = ["referral", "app", "link"];
+const EMAIL_VALUES = ["email", "e-mail", "e_mail", "e mail"];
+
+/**
+ * Channel group for a session's source, medium and campaign. `rules` are a
+ * shop's custom rules (see loadChannelGrouper), checked before GA4's defaults.
+ */
+export function getChannelGroup(source, medium, { campaignName = null, rules = [] } = {}) {
+  const values = {
+    source: normalize(source) ?? "(direct)",
+    medium: normalize(medium) ?? "(not set)",
+    campaignName: normalize(campaignName) ?? ""
+  };
+
+  const rule = rules.find(rule => matchesRule(rule, values));
+  if (rule) return rule.channelGroup;
+
+  return getDefaultChannelGroup(values);
+}
+
+/**
+ * A shop's classifier, with its custom rules loaded once for an import:
+ * (source, medium, campaignName) => channel group
+ */
+export async function loadChannelGrouper(shopId) {
+  const rules = await getChannelGroupRules(shopId);
+  return (source, medium, campaignName = null) => getChannelGroup(source, medium, { campaignName, rules });
+}
+
+/**
+ * A shop's custom rules, in the order they are checked
+ */
+export async function getChannelGroupRules(shopId) {
+  return await db.channelGroupRule.findMany({
+    where: { shopId },
+    orderBy: [{ position: "asc" }, { id: "asc" }]
+  });
+}
+
+/**
+ * Add a custom rule after the shop's existing ones
+ */
+export async function createChannelGroupRule(shopId, { channelGroup, field, matchType, value }) {
+  const rule = {
+    channelGroup: channelGroup?.trim(),
+    field,
+    matchType,
+    value: value?.trim()
+  };
+  validateRule(rule);
+
+  const last = await db.channelGroupRule.findFirst({
+    where: { shopId },
+    orderBy: { position: "desc" }
+  });
+
+  return await db.channelGroupRule.create({
+    data: { shopId, ...rule, position: (last?.position ?? -1) + 1 }
+  });
+}
+
+export async function deleteChannelGroupRule(shopId, ruleId) {
+  const { count } = await db.channelGroupRule.deleteMany({ where: { id: ruleId, shopId } });
+  if (count === 0) {
+    throw new Error("Channel group rule not found");
+  }
+}
+
+/**
+ * Recompute the channel group of the shop's stored sessions and traffic
+ * rows with its current rules. Rows are updated per distinct source,
+ * medium and campaign, and only where the group changed.
+ * Returns the number of rows updated.
+ */
+export async function reclassifyChannelGroups(shopId) {
+  const classify = await loadChannelGrouper(shopId);
+
+  const tables = [
+    { model: "googleAnalyticsSession", source: "sessionSource", medium: "sessionMedium", campaignName: "sessionCampaignName", channelGroup: "sessionDefaultChannelGroup", nullable: true },
+    { model: "googleAnalyticsTrafficSource", source: "source", medium: "medium", campaignName: "campaignName", channelGroup: "channelGroup" },
+    { model: "googleAnalyticsHistoricalSessions", source: "source", medium: "medium", campaignName: "campaignName", channelGroup: "channelGroup", nullable: true },
+    { model: "googleAnalyticsHistoricalTraffic", source: "source", medium: "medium", campaignName: "campaignName", channelGroup: "channelGroup" }
+  ];
+
+  let updated = 0;
+  for (const table of tables) {
+    const combinations = await db[table.model].groupBy({
+      by: [table.source, table.medium, table.campaignName],
+      where: { shopId }
+    });
+
+    let tableUpdated = 0;
+    for (const combination of combinations) {
+      const channelGroup = classify(combination[table.source], combination[table.medium], combination[table.campaignName]);
+      const { count } = await db[table.model].updateMany({
+        where: {
+          shopId,
+          [table.source]: combination[table.source],
+          [table.medium]: combination[table.medium],
+          [table.campaignName]: combination[table.campaignName],
+          // `not` never matches NULL, so rows without a group need their own condition
+          ...(table.nullable
+            ? { OR: [{ [table.channelGroup]: { not: channelGroup } }, { [table.channelGroup]: null }] }
+            : { [table.channelGroup]: { not: channelGroup } })
+        },
+        data: { [table.channelGroup]: channelGroup }
+      });
+      tableUpdated += count;
+    }
+
+    console.log(`🔀 Reclassified ${tableUpdated} ${table.model} rows across ${combinations.length} sources for shop ${shopId}`);
+    updated += tableUpdated;
+  }
+
+  return updated;
+}
+
+function getDefaultChannelGroup({ source, medium, campaignName }) {
+  const paid = PAID_MEDIUM.test(medium);
+  const shopping = matchesSite(source, SHOPPING_SITES) || SHOPPING_CAMPAIGN.test(campaignName);
+
+  if (source === "(direct)" && (medium === "(not set)" || medium === "(none)")) return "Direct";
+  if (campaignName.includes("cross-network")) return "Cross-network";
+  if (shopping && paid) return "Paid Shopping";
+  if (matchesSite(source, SEARCH_SITES) && paid) return "Paid Search";
+  if (matchesSite(source, SOCIAL_SITES) && paid) return "Paid Social";
+  if (matchesSite(source, VIDEO_SITES) && paid) return "Paid Video";
+  if (DISPLAY_MEDIUMS.includes(medium)) return "Display";
+  if (paid) return "Paid Other";
+  if (matchesSite(source, AI_ASSISTANT_SITES)) return "AI Assistants";
+  if (shopping) return "Organic Shopping";
+  if (matchesSite(source, SOCIAL_SITES) || SOCIAL_MEDIUMS.includes(medium)) return "Organic Social";
+  if (matchesSite(source, VIDEO_SITES) || medium.includes("video")) return "Organic Video";
+  if (matchesSite(source, SEARCH_SITES) || medium === "organic") return "Organic Search";
+  if (REFERRAL_MEDIUMS.includes(medium)) return "Referral";
+  if (EMAIL_VALUES.includes(source) || EMAIL_VALUES.includes(medium)) return "Email";
+  if (medium === "affiliate") return "Affiliates";
+  if (medium === "audio") return "Audio";
+  if (source === "sms" || medium === "sms") return "SMS";
+  if (medium.endsWith("push") || medium.includes("mobile") || medium.includes("notification") || source === "firebase") {
+    return "Mobile Push Notifications";
+  }
+
+  return "Unassigned";
+}
+
+function matchesRule(rule, values) {
+  const value = values[rule.field] ?? "";
+  const pattern = rule.value.toLowerCase();
+
+  switch (rule.matchType) {
+    case "exact": return value === pattern;
+    case "contains": return value.includes(pattern);
+    case "starts_with": return value.startsWith(pattern);
+    case "ends_with": return value.endsWith(pattern);
+    case "regex": return new RegExp(rule.value, "i").test(value);
+    default: return false;
+  }
+}
+
+function validateRule({ channelGroup, field, matchType, value }) {
+  if (!channelGroup) {
+    throw new Error("Channel group is required");
+  }
+  if (!RULE_FIELDS[field]) {
+    throw new Error(`Unknown rule field: ${field}`);
+  }
+  if (!RULE_MATCH_TYPES[matchType]) {
+    throw new Error(`Unknown match type: ${matchType}`);
+  }
+  if (!value) {
+    throw new Error("Rule value is required");
+  }
+  if (matchType === "regex") {
+    try {
+      new RegExp(value, "i");
+    } catch (error) {
+      throw new Error(`Invalid regular expression: ${error.message}`);
+    }
+  }
+}
+
+// Sources, mediums and campaigns compare case-insensitively, like in GA4.
+// Empty values and GA4's "(not set)" count as missing.
+function normalize(value) {
+  const normalized = value?.trim().toLowerCase();
+  return normalized && normalized !== "(not set)" ? normalized : null;
+}
+
+// Matches a site's name or domain, ignoring www. and mobile subdomains
+function matchesSite(source, sites) {
+  const host = source.replace(/^https?:\/\//, "").replace(/\/.*$/, "").replace(/^(www|m|l|lm|mobile)\./, "");
+  return sites.some(site => host === site || host.endsWith(`.${site}`) || host.startsWith(`${site}.`));
+}
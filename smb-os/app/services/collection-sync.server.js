@@ -0,0 +1,165 @@
+import db from "../db.server.js";
+import { parseShopifyId, isGlobalId, toGlobalId } from "./shopify-ids.server.js";
+
+/**
+ * Shared collection mapping used by the initial sync (GraphQL Admin API) and
+ * the collections/* webhooks (REST payloads).
+ */
+
+/**
+ * Convert a GraphQL collection node or a REST/webhook collection payload.
+ * productIds is null when the payload doesn't list the collection's products
+ * (webhook payloads never do), in which case membership is left untouched.
+ */
+export function normalizeCollection(collectionData) {
+  if (isGlobalId(collectionData.id)) {
+    return {
+      collectionId: parseShopifyId(collectionData.id),
+      handle: collectionData.handle,
+      title: collectionData.title,
+      updatedAt: collectionData.updatedAt ? new Date(collectionData.updatedAt) : new Date(),
+      productIds: collectionData.products
+        ? collectionData.products.edges.map(edge => parseShopifyId(edge.node.id))
+        : null
+    };
+  }
+
+  return {
+    collectionId: parseShopifyId(collectionData.id),
+    handle: collectionData.handle,
+    title: collectionData.title,
+    updatedAt: collectionData.updated_at ? new Date(collectionData.updated_at) : new Date(),
+    productIds: null
+  };
+}
+
+/**
+ * Create or update a collection and, when productIds is known, replace its
+ * CollectionProduct rows. Products we haven't stored are skipped.
+ */
+export async function upsertCollection(shopId, collection) {
+  const collectionFields = {
+    handle: collection.handle,
+    title: collection.title,
+    updatedAt: collection.updatedAt
+  };
+
+  const products = collection.productIds && collection.productIds.length > 0
+    ? await db.product.findMany({
+        where: { productId: { in: collection.productIds }, deletedAt: null },
+        select: { id: true }
+      })
+    : [];
+
+  return await db.$transaction(async (tx) => {
+    const stored = await tx.collection.upsert({
+      where: { collectionId: collection.collectionId },
+      update: collectionFields,
+      create: {
+        ...collectionFields,
+        collectionId: collection.collectionId,
+        shopId
+      }
+    });
+
+    if (collection.productIds) {
+      await tx.collectionProduct.deleteMany({
+        where: { collectionId: stored.id }
+      });
+      if (products.length > 0) {
+        await tx.collectionProduct.createMany({
+          data: products.map(product => ({ collectionId: stored.id, productId: product.id })),
+          skipDuplicates: true
+        });
+      }
+    }
+
+    return stored;
+  });
+}
+
+/**
+ * Set the collections a stored product belongs to, creating collection rows we
+ * haven't seen yet. With { replace: false } links are only added, for when a
+ * product's collections arrive in more than one piece.
+ */
+export async function setProductCollections(shopId, productId, collections, { replace = true } = {}) {
+  const stored = [];
+  for (const collection of collections) {
+    stored.push(await upsertCollection(shopId, { ...collection, productIds: null }));
+  }
+
+  await db.$transaction(async (tx) => {
+    if (replace) {
+      await tx.collectionProduct.deleteMany({ where: { productId } });
+    }
+    if (stored.length > 0) {
+      await tx.collectionProduct.createMany({
+        data: stored.map(collection => ({ collectionId: collection.id, productId })),
+        skipDuplicates: true
+      });
+    }
+  });
+}
+
+/**
+ * Remove a collection deleted in Shopify along with its product links.
+ * Returns null when the collection was never stored.
+ */
+export async function deleteCollection(collectionId) {
+  const collection = await db.collection.findUnique({
+    where: { collectionId },
+    select: { id: true }
+  });
+  if (!collection) return null;
+
+  return await db.$transaction(async (tx) => {
+    const { count: productsUnlinked } = await tx.collectionProduct.deleteMany({
+      where: { collectionId: collection.id }
+    });
+    await tx.collection.delete({ where: { id: collection.id } });
+
+    return { productsUnlinked };
+  });
+}
+
+/**
+ * Page through every product in a collection. Webhook payloads don't include
+ * membership, so collections/create and collections/update look it up.
+ * client is an AdminGraphQLClient.
+ */
+export async function fetchCollectionProductIds(client, collectionId) {
+  const productIds = [];
+  let cursor = null;
+
+  do {
+    const data = await client.request(`
+      query getCollectionProducts($id: ID!, $cursor: String) {
+        collection(id: $id) {
+          products(first: 250, after: $cursor) {
+            pageInfo {
+              hasNextPage
+              endCursor
+            }
+            edges {
+              node {
+                id
+              }
+            }
+          }
+        }
+      }
+    `, {
+      variables: { id: toGlobalId("Collection", collectionId), cursor }
+    });
+
+    // The collection was deleted before we got to it
+    if (!data.collection) return null;
+
+    const { products } = data.collection;
+    productIds.push(...products.edges.map(edge => parseShopifyId(edge.node.id)));
+    cursor = products.pageInfo.hasNextPage ? products.pageInfo.endCursor : null;
+  } while (cursor);
+
+  return productIds;
+}
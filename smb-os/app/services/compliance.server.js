@@ -0,0 +1,314 @@
+import db from "../db.server.js";
+import { parseShopifyId } from "./shopify-ids.server.js";
+
+/**
+ * Shopify's mandatory privacy (GDPR) webhooks: customers/data_request,
+ * customers/redact and shop/redact.
+ *
+ * Each request is recorded in ComplianceRequest when it's received and
+ * marked fulfilled with a summary of what was exported or removed, so there
+ * is an audit trail of every request and when it was handled. The records
+ * hold Shopify ids and row counts, not the customer's details.
+ *
+ * Redacted orders are kept for the shop's sales figures, but lose their
+ * email, customer link and addresses.
+ */
+
+const REDACTED_PAYLOAD = JSON.stringify({ redacted: true });
+
+// Queued webhooks whose payloads carry customer details
+const CUSTOMER_DATA_TOPICS = ["CUSTOMERS_CREATE", "CUSTOMERS_UPDATE", "ORDERS_CREATE", "ORDERS_UPDATED", "CUSTOMERS_DATA_REQUEST"];
+
+/**
+ * Handle a queued compliance webhook. Throws to have the event retried;
+ * the request stays recorded as failed until a retry fulfills it.
+ */
+export async function handleComplianceWebhook({ shop, topic, payload, event }) {
+  const request = await recordComplianceRequest({ shop, topic, payload, event });
+
+  try {
+    let result;
+    switch (topic) {
+      case "CUSTOMERS_DATA_REQUEST":
+        result = await exportCustomerData(shop, customerReference(payload));
+        break;
+      case "CUSTOMERS_REDACT":
+        result = await redactCustomer(shop, customerReference(payload), { eventId: event.id });
+        break;
+      case "SHOP_REDACT":
+        result = await redactShop(shop, { keepEventId: event.id });
+        break;
+      default:
+        throw new Error(`Unsupported compliance topic: ${topic}`);
+    }
+
+    await db.complianceRequest.update({
+      where: { id: request.id },
+      data: {
+        status: "fulfilled",
+        summary: JSON.stringify(result.summary),
+        exportData: result.exportData ?? null,
+        errorMessage: null,
+        fulfilledAt: new Date()
+      }
+    });
+
+    console.log(`🔒 ${topic} fulfilled for ${shop}:`, result.summary);
+  } catch (error) {
+    await db.complianceRequest.update({
+      where: { id: request.id },
+      data: { status: "failed", errorMessage: error.message }
+    });
+    throw error;
+  }
+}
+
+/**
+ * Everything stored about a customer in a shop, as a JSON string for the
+ * merchant to pass on: the customer, their addresses and their orders with
+ * line items and addresses.
+ * Returns { summary, exportData }.
+ */
+export async function exportCustomerData(shopDomain, reference) {
+  const shop = await db.shop.findUnique({ where: { domain: shopDomain }, select: { id: true } });
+  if (!shop) {
+    return { summary: { customers: 0, orders: 0 }, exportData: buildExport(reference, null, []) };
+  }
+
+  const customer = await findCustomer(shop.id, reference, { include: { addresses: true } });
+  const orders = await db.order.findMany({
+    where: customerOrdersWhere(shop.id, reference, customer),
+    include: {
+      items: { include: { product: { select: { title: true } }, productVariant: { select: { title: true, sku: true } } } },
+      shippingAddress: true,
+      billingAddress: true
+    },
+    orderBy: { createdAt: "asc" }
+  });
+
+  return {
+    summary: { customers: customer ? 1 : 0, addresses: customer?.addresses.length ?? 0, orders: orders.length },
+    exportData: buildExport(reference, customer, orders)
+  };
+}
+
+/**
+ * Delete a customer and their addresses, strip their details from their
+ * orders, and scrub stored webhook payloads and earlier exports about them.
+ * eventId is the customers/redact event being processed, whose own payload
+ * is reduced to ids.
+ * Returns { summary }.
+ */
+export async function redactCustomer(shopDomain, reference, { eventId } = {}) {
+  const summary = { customersDeleted: 0, addressesDeleted: 0, ordersAnonymized: 0, orderAddressesDeleted: 0, exportsCleared: 0, webhookPayloadsScrubbed: 0 };
+
+  const shop = await db.shop.findUnique({ where: { domain: shopDomain }, select: { id: true } });
+  if (shop) {
+    const customer = await findCustomer(shop.id, reference);
+    const orders = await db.order.findMany({
+      where: customerOrdersWhere(shop.id, reference, customer),
+      select: { id: true, orderId: true }
+    });
+    const orderIds = orders.map(order => order.id);
+    reference = { ...reference, orderIds: [...new Set([...reference.orderIds, ...orders.map(order => order.orderId)])] };
+
+    await db.$transaction(async (tx) => {
+      const shipping = await tx.shippingAddress.deleteMany({ where: { orderId: { in: orderIds } } });
+      const billing = await tx.billingAddress.deleteMany({ where: { orderId: { in: orderIds } } });
+      const anonymized = await tx.order.updateMany({
+        where: { id: { in: orderIds } },
+        data: { email: null, customerId: null }
+      });
+      summary.orderAddressesDeleted = shipping.count + billing.count;
+      summary.ordersAnonymized = anonymized.count;
+
+      if (customer) {
+        const addresses = await tx.customerAddress.deleteMany({ where: { customerId: customer.id } });
+        await tx.customer.delete({ where: { id: customer.id } });
+        summary.addressesDeleted = addresses.count;
+        summary.customersDeleted = 1;
+      }
+    });
+  }
+
+  if (reference.customerId !== null) {
+    const { count } = await db.complianceRequest.updateMany({
+      where: { shopDomain, customerId: reference.customerId, exportData: { not: null } },
+      data: { exportData: null }
+    });
+    summary.exportsCleared = count;
+  }
+
+  summary.webhookPayloadsScrubbed = await scrubWebhookPayloads(shopDomain, reference);
+
+  // Last, so a retry still has the details it needs
+  if (eventId) {
+    await db.webhookEvent.update({
+      where: { id: eventId },
+      data: {
+        payload: JSON.stringify({
+          customer: { id: reference.customerId?.toString() ?? null },
+          orders_to_redact: reference.orderIds.map(String)
+        })
+      }
+    });
+  }
+
+  return { summary };
+}
+
+/**
+ * Delete everything stored for a shop: its catalog, inventory, customers,
+ * orders, analytics, settings, sync history, sessions and queued webhooks.
+ * Compliance records are kept. keepEventId is a webhook event that must
+ * survive (the one being processed). Safe to run again.
+ * Returns { summary } with the rows deleted per table.
+ */
+export async function redactShop(shopDomain, { keepEventId = null } = {}) {
+  const summary = {};
+  const remove = async (name, model, where) => {
+    const { count } = await db[model].deleteMany({ where });
+    if (count > 0) summary[name] = count;
+  };
+
+  const shop = await db.shop.findUnique({ where: { domain: shopDomain }, select: { id: true } });
+  if (shop) {
+    const shopId = shop.id;
+
+    // Children before parents; there are no cascading deletes
+    await remove("gaEvents", "googleAnalyticsEvent", { shopId });
+    await remove("gaPageviews", "googleAnalyticsPageview", { shopId });
+    await remove("gaTrafficSources", "googleAnalyticsTrafficSource", { shopId });
+    await remove("gaSessions", "googleAnalyticsSession", { shopId });
+    await remove("gaHistoricalSessions", "googleAnalyticsHistoricalSessions", { shopId });
+    await remove("gaHistoricalPages", "googleAnalyticsHistoricalPages", { shopId });
+    await remove("gaHistoricalTraffic", "googleAnalyticsHistoricalTraffic", { shopId });
+    await remove("gaHistoricalDevices", "googleAnalyticsHistoricalDevices", { shopId });
+    await remove("gaHistoricalGeo", "googleAnalyticsHistoricalGeo", { shopId });
+    await remove("gaHistoricalSearch", "googleAnalyticsHistoricalSearch", { shopId });
+
+    await remove("orderItems", "orderItem", { order: { shopId } });
+    await remove("shippingAddresses", "shippingAddress", { order: { shopId } });
+    await remove("billingAddresses", "billingAddress", { order: { shopId } });
+    await remove("orders", "order", { shopId });
+    await remove("customerAddresses", "customerAddress", { customer: { shopId } });
+    await remove("customers", "customer", { shopId });
+
+    await remove("collectionProducts", "collectionProduct", { collection: { shopId } });
+    await remove("collections", "collection", { shopId });
+    await remove("productImages", "productImage", { product: { shopId } });
+    await remove("productVariants", "productVariant", { product: { shopId } });
+    await remove("productHandles", "productHandle", { shopId });
+    await remove("inventoryLevelChanges", "inventoryLevelChange", { inventoryLevel: { shopId } });
+    await remove("inventoryLevels", "inventoryLevel", { shopId });
+    await remove("locations", "location", { shopId });
+    await remove("products", "product", { shopId });
+
+    await remove("channelGroupRules", "channelGroupRule", { shopId });
+    await remove("analyticsConnections", "analyticsConnection", { shopId });
+    await remove("featureUsage", "featureUsage", { shopId });
+    await remove("syncLogs", "syncLog", { shopId });
+    await remove("syncJobs", "syncJob", { shopId });
+    await remove("shops", "shop", { id: shopId });
+  }
+
+  await remove("sessions", "session", { shop: shopDomain });
+  await remove("webhookEvents", "webhookEvent", {
+    shopDomain,
+    ...(keepEventId && { id: { not: keepEventId } })
+  });
+  await db.complianceRequest.updateMany({
+    where: { shopDomain, exportData: { not: null } },
+    data: { exportData: null }
+  });
+
+  return { summary };
+}
+
+/**
+ * A shop's compliance requests, newest first, for the privacy requests page
+ */
+export async function getComplianceRequests(shopDomain, { take = 50 } = {}) {
+  return await db.complianceRequest.findMany({
+    where: { shopDomain },
+    orderBy: { receivedAt: "desc" },
+    take
+  });
+}
+
+// Recorded per webhook event, so a retried delivery updates the same record
+async function recordComplianceRequest({ shop, topic, payload, event }) {
+  const reference = topic === "SHOP_REDACT" ? null : customerReference(payload);
+
+  return await db.complianceRequest.upsert({
+    where: { webhookEventId: event.id },
+    update: { status: "received" },
+    create: {
+      shopDomain: shop,
+      topic,
+      webhookEventId: event.id,
+      customerId: reference?.customerId ?? null,
+      dataRequestId: parseShopifyId(payload.data_request?.id),
+      ordersRequested: reference ? JSON.stringify(reference.orderIds.map(String)) : null
+    }
+  });
+}
+
+// The customer and orders a customers/* compliance payload is about
+function customerReference(payload) {
+  return {
+    customerId: parseShopifyId(payload.customer?.id),
+    email: payload.customer?.email || null,
+    orderIds: (payload.orders_requested || payload.orders_to_redact || []).map(parseShopifyId)
+  };
+}
+
+async function findCustomer(shopId, reference, options = {}) {
+  if (reference.customerId === null) return null;
+  return await db.customer.findFirst({
+    where: { shopId, customerId: reference.customerId },
+    ...options
+  });
+}
+
+// Orders named in the request, linked to the customer, or placed with their email
+function customerOrdersWhere(shopId, reference, customer) {
+  const matches = [];
+  if (reference.orderIds.length > 0) matches.push({ orderId: { in: reference.orderIds } });
+  if (customer) matches.push({ customerId: customer.id });
+  if (reference.email) matches.push({ email: { equals: reference.email, mode: "insensitive" } });
+
+  // An empty OR matches nothing
+  return { shopId, OR: matches };
+}
+
+// Replace processed webhook payloads that mention the customer or their orders
+async function scrubWebhookPayloads(shopDomain, reference) {
+  const mentions = [
+    reference.customerId,
+    reference.email,
+    ...reference.orderIds
+  ].filter(value => value !== null).map(value => ({ payload: { contains: String(value) } }));
+  if (mentions.length === 0) return 0;
+
+  const { count } = await db.webhookEvent.updateMany({
+    where: {
+      shopDomain,
+      topic: { in: CUSTOMER_DATA_TOPICS },
+      // Pending events still need their payload to be processed
+      status: { in: ["completed", "skipped", "dead"] },
+      OR: mentions
+    },
+    data: { payload: REDACTED_PAYLOAD }
+  });
+  return count;
+}
+
+function buildExport(reference, customer, orders) {
+  return JSON.stringify({
+    exportedAt: new Date().toISOString(),
+    request: reference,
+    customer,
+    orders
+  }, (key, value) => (typeof value === "bigint" ? value.toString() : value), 2);
+}
@@ -0,0 +1,152 @@
+import db from "../db.server.js";
+import { parseShopifyId, isGlobalId } from "./shopify-ids.server.js";
+
+/**
+ * Shared customer mapping used by the initial sync (GraphQL Admin API) and the
+ * customers/create and customers/update webhooks (REST payloads), so both
+ * paths write customers and their addresses the same way.
+ */
+
+/**
+ * Convert a GraphQL customer node or a REST/webhook customer payload into the
+ * shape upsertCustomer expects.
+ * ordersCount/totalSpent are Shopify's lifetime figures (orders_count and
+ * total_spent, or numberOfOrders and amountSpent), null when the payload
+ * doesn't carry them.
+ * addresses is null when the payload doesn't list them, so existing
+ * addresses are left alone.
+ */
+export function normalizeCustomer(customerData) {
+  if (isGlobalId(customerData.id)) {
+    const defaultAddressId = parseShopifyId(customerData.defaultAddress?.id);
+
+    return {
+      customerId: parseShopifyId(customerData.id),
+      firstName: customerData.firstName || null,
+      lastName: customerData.lastName || null,
+      email: customerData.email || null,
+      phone: customerData.phone || null,
+      ordersCount: parseCount(customerData.numberOfOrders),
+      totalSpent: parseNumber(customerData.amountSpent?.amount),
+      createdAt: new Date(customerData.createdAt),
+      updatedAt: new Date(customerData.updatedAt || customerData.createdAt),
+      addresses: Array.isArray(customerData.addresses)
+        ? customerData.addresses.map(address => ({
+            ...normalizeAddress(address),
+            default: defaultAddressId !== null && parseShopifyId(address.id) === defaultAddressId
+          }))
+        : null
+    };
+  }
+
+  const defaultAddressId = parseShopifyId(customerData.default_address?.id);
+
+  return {
+    customerId: parseShopifyId(customerData.id),
+    firstName: customerData.first_name || null,
+    lastName: customerData.last_name || null,
+    email: customerData.email || null,
+    phone: customerData.phone || null,
+    ordersCount: parseCount(customerData.orders_count),
+    totalSpent: parseNumber(customerData.total_spent),
+    createdAt: new Date(customerData.created_at),
+    updatedAt: new Date(customerData.updated_at || customerData.created_at),
+    addresses: Array.isArray(customerData.addresses)
+      ? customerData.addresses.map(address => ({
+          ...normalizeAddress(address),
+          default: address.default === true ||
+            (defaultAddressId !== null && parseShopifyId(address.id) === defaultAddressId)
+        }))
+      : null
+  };
+}
+
+/**
+ * Create or update a customer and reconcile their addresses: addresses missing
+ * from the payload are deleted and exactly the flagged one is marked default.
+ * Returns the stored customer.
+ */
+export async function upsertCustomer(shopId, customer) {
+  const customerFields = {
+    firstName: customer.firstName,
+    lastName: customer.lastName,
+    email: customer.email,
+    phone: customer.phone,
+    updatedAt: customer.updatedAt
+  };
+
+  // Only overwrite the order stats when Shopify sent them
+  if (customer.ordersCount !== null) customerFields.ordersCount = customer.ordersCount;
+  if (customer.totalSpent !== null) customerFields.totalSpent = customer.totalSpent;
+
+  return await db.$transaction(async (tx) => {
+    const savedCustomer = await tx.customer.upsert({
+      where: { customerId: customer.customerId },
+      update: customerFields,
+      create: {
+        ...customerFields,
+        customerId: customer.customerId,
+        shopId,
+        createdAt: customer.createdAt
+      }
+    });
+
+    if (customer.addresses) {
+      const addressIds = customer.addresses.map(address => address.addressId);
+
+      // Addresses the customer removed in Shopify
+      await tx.customerAddress.deleteMany({
+        where: {
+          customerId: savedCustomer.id,
+          addressId: { notIn: addressIds }
+        }
+      });
+
+      for (const { addressId, ...address } of customer.addresses) {
+        await tx.customerAddress.upsert({
+          where: { addressId },
+          update: { ...address, customerId: savedCustomer.id },
+          create: { ...address, addressId, customerId: savedCustomer.id }
+        });
+      }
+    }
+
+    return savedCustomer;
+  });
+}
+
+/**
+ * Map a GraphQL MailingAddress or REST customer address to CustomerAddress columns
+ */
+function normalizeAddress(address) {
+  return {
+    addressId: parseShopifyId(address.id),
+    firstName: address.firstName ?? address.first_name ?? null,
+    lastName: address.lastName ?? address.last_name ?? null,
+    company: address.company ?? null,
+    address1: address.address1 ?? null,
+    address2: address.address2 ?? null,
+    city: address.city ?? null,
+    province: address.province ?? null,
+    country: address.country ?? null,
+    zip: address.zip ?? null,
+    phone: address.phone ?? null,
+    name: address.name ?? null,
+    provinceCode: address.provinceCode ?? address.province_code ?? null,
+    countryCode: address.countryCodeV2 ?? address.country_code ?? null,
+    countryName: address.country_name ?? address.country ?? null
+  };
+}
+
+// numberOfOrders is an UnsignedInt64, which GraphQL serializes as a string
+function parseCount(value) {
+  if (value === null || value === undefined || value === "") return null;
+  const count = parseInt(value, 10);
+  return Number.isNaN(count) ? null : count;
+}
+
+function parseNumber(value) {
+  if (value === null || value === undefined || value === "") return null;
+  const number = parseFloat(value);
+  return Number.isNaN(number) ? null : number;
+}
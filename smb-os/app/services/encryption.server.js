@@ -0,0 +1,75 @@
+import crypto from "crypto";
+
+/**
+ * AES-256-GCM encryption for secrets stored in the database, such as
+ * merchants' Google service account keys.
+ *
+ * The key comes from ENCRYPTION_KEY, 32 bytes encoded as hex or base64
+ * (generate one with `openssl rand -hex 32`). Encrypted values are stored as
+ * "v1:<iv>:<auth tag>:<ciphertext>" in base64, so the format can change later.
+ */
+
+const ALGORITHM = "aes-256-gcm";
+const VERSION = "v1";
+
+let cachedKey = null;
+
+function getKey() {
+  if (cachedKey) return cachedKey;
+
+  const raw = process.env.ENCRYPTION_KEY;
+  if (!raw) {
+    throw new Error("ENCRYPTION_KEY is not set, cannot encrypt or decrypt stored credentials");
+  }
+
+  cachedKey = parseEncryptionKey(raw, "ENCRYPTION_KEY");
+  return cachedKey;
+}
+
+/**
+ * Decode a 32 byte AES-256 key given as hex or base64. `name` is used in
+ * the error message.
+ */
+export function parseEncryptionKey(raw, name) {
+  const key = /^[0-9a-f]{64}$/i.test(raw) ? Buffer.from(raw, "hex") : Buffer.from(raw, "base64");
+  if (key.length !== 32) {
+    throw new Error(`${name} must be 32 bytes, hex or base64 encoded`);
+  }
+  return key;
+}
+
+/**
+ * Encrypt a string. Returns null for null or empty input.
+ */
+export function encrypt(plaintext) {
+  if (plaintext === null || plaintext === undefined || plaintext === "") return null;
+
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, getKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(String(plaintext), "utf8"), cipher.final()]);
+
+  return [VERSION, iv, cipher.getAuthTag(), ciphertext]
+    .map(part => (typeof part === "string" ? part : part.toString("base64")))
+    .join(":");
+}
+
+/**
+ * Decrypt a value produced by encrypt(). Throws if it was tampered with or
+ * encrypted under a different key.
+ */
+export function decrypt(encrypted) {
+  if (!encrypted) return null;
+
+  const [version, iv, authTag, ciphertext] = encrypted.split(":");
+  if (version !== VERSION || !ciphertext) {
+    throw new Error("Unrecognized encrypted value format");
+  }
+
+  const decipher = crypto.createDecipheriv(ALGORITHM, getKey(), Buffer.from(iv, "base64"));
+  decipher.setAuthTag(Buffer.from(authTag, "base64"));
+
+  return Buffer.concat([
+    decipher.update(Buffer.from(ciphertext, "base64")),
+    decipher.final()
+  ]).toString("utf8");
+}
@@ -1,21 +1,62 @@
 import db from "../db.server.js";
+import { AdminGraphQLClient } from "./admin-graphql.server.js";
+import { startBulkProductSync, waitForBulkOperation, waitForBulkProductImport, cancelBulkOperation } from "./bulk-sync.server.js";
+import { normalizeCollection, upsertCollection } from "./collection-sync.server.js";
+import { normalizeCustomer, upsertCustomer } from "./customer-sync.server.js";
+import {
+  LOCATION_FIELDS,
+  INVENTORY_LEVEL_FIELDS,
+  normalizeLocation,
+  upsertLocation,
+  normalizeInventoryLevel,
+  upsertInventoryLevel
+} from "./inventory-sync.server.js";
+import { normalizeOrder, upsertOrder } from "./order-sync.server.js";
+import { normalizeProduct } from "./product-normalizer.server.js";
+import { upsertProduct } from "./product-sync.server.js";
+import { toGlobalId } from "./shopify-ids.server.js";
+
+// A "started" log not touched for this long belongs to a sync whose process died
+const SYNC_LOG_LOCK_TIMEOUT_MS = 10 * 60 * 1000;
+
+/**
+ * Thrown between pages when the background job running the sync was cancelled,
+ * or when another worker has taken the job over
+ */
+export class SyncCancelledError extends Error {
+  constructor(syncJobId, reason = 'was cancelled') {
+    super(`Sync job ${syncJobId} ${reason}`);
+    this.name = 'SyncCancelledError';
+  }
+}
 
 /**
  * Initial sync service to populate database with all store data
- * Called when a store first installs the app
+ * Called when a store first installs the app, and in delta mode for
+ * scheduled resyncs (see scripts/deltaSync.js)
  */
 export class InitialSyncService {
-  constructor(admin, shopDomain) {
+  constructor(admin, shopDomain, { syncJobId = null, workerId = null } = {}) {
     this.admin = admin;
+    // Paces requests against Shopify's rate limit, shared by the parallel entity syncs
+    this.client = new AdminGraphQLClient(admin, shopDomain);
     this.shopDomain = shopDomain;
     this.shopId = null;
+    // Set when running as a background SyncJob (see sync-jobs.server.js)
+    this.syncJobId = syncJobId;
+    // The worker holding the job's lock (SyncJob.lockedBy)
+    this.workerId = workerId;
   }
 
   /**
-   * Main sync function - orchestrates all data syncing
+   * Main sync function - orchestrates all data syncing.
+   * With { delta: true } each entity only pulls records updated since its
+   * last completed sync, falling back to a full pull when there is none.
+   * With { bulk: true } products come from a Bulk Operations API export,
+   * which has no per-product variant or image limits.
    */
-  async syncAllData() {
-    console.log(`🚀 Starting initial sync for shop: ${this.shopDomain}`);
+  async syncAllData({ delta = false, bulk = false } = {}) {
+    console.log(`🚀 Starting ${delta ? 'delta' : 'initial'} sync for shop: ${this.shopDomain}`);
     
     try {
       // First, sync shop data and get shop ID
@@ -24,14 +65,33 @@ export class InitialSyncService {
       // Then sync all other data in parallel for better performance
       // Note: Customer and order sync require special approval from Shopify
       // so we're skipping them for now
-      const syncPromises = [
-        this.syncProducts(),
-        // this.syncCustomers(), // Requires special approval
-        // this.syncOrders(),   // Requires special approval
-        this.syncCollections()
-      ];
-
-      await Promise.allSettled(syncPromises);
+      const syncPromises = bulk
+        ? [
+            // The bulk export sets complete memberships per product, so it runs
+            // after the collection sync, which only links the first 100 products.
+            // It isn't started when the collection sync fails or is cancelled.
+            this.syncCollections({ delta }).then(() => this.syncProductsBulk({ delta })),
+            this.syncInventory({ delta })
+          ]
+        : [
+            this.syncProducts({ delta }),
+            // this.syncCustomers({ delta }), // Requires special approval
+            // this.syncOrders({ delta }),   // Requires special approval
+            this.syncCollections({ delta }),
+            this.syncInventory({ delta })
+          ];
+
+      const results = await Promise.allSettled(syncPromises);
+      const failures = results.filter(result => result.status === 'rejected').map(result => result.reason);
+
+      if (failures.some(error => error instanceof SyncCancelledError)) {
+        console.log(`🛑 Sync cancelled for shop: ${this.shopDomain}`);
+        return { success: false, cancelled: true, error: 'Sync was cancelled' };
+      }
+      if (failures.length > 0) {
+        console.error(`❌ ${failures.length} entity sync(s) failed for shop: ${this.shopDomain}`);
+        return { success: false, error: failures.map(error => error.message).join('; ') };
+      }
       
       // Update last sync timestamp
       await db.shop.update({
@@ -39,13 +99,13 @@ export class InitialSyncService {
         data: { lastSyncAt: new Date() }
       });
 
-      console.log(`✅ Initial sync completed for shop: ${this.shopDomain}`);
+      console.log(`✅ ${delta ? 'Delta' : 'Initial'} sync completed for shop: ${this.shopDomain}`);
       console.log(`ℹ️ Note: Customer and order sync require special approval from Shopify`);
-      console.log(`ℹ️ Only products, collections, and shop data were synced`);
-      return { success: true, message: "Initial sync completed successfully (products, collections, and shop data only)" };
+      console.log(`ℹ️ Only products, collections, inventory, and shop data were synced`);
+      return { success: true, message: `${delta ? 'Delta' : 'Initial'} sync completed successfully (products, collections, inventory, and shop data only)` };
       
     } catch (error) {
-      console.error(`❌ Initial sync failed for shop: ${this.shopDomain}`, error);
+      console.error(`❌ ${delta ? 'Delta' : 'Initial'} sync failed for shop: ${this.shopDomain}`, error);
       return { success: false, error: error.message };
     }
   }
@@ -55,7 +115,7 @@ export class InitialSyncService {
    */
   async syncShopData() {
     try {
-      const shopQuery = await this.admin.graphql(`
+      const shopData = await this.client.request(`
         query getShop {
           shop {
             id
@@ -80,8 +140,7 @@ export class InitialSyncService {
         }
       `);
 
-      const shopData = await shopQuery.json();
-      const shop = shopData.data.shop;
+      const shop = shopData.shop;
 
       // Upsert shop data
       const dbShop = await db.shop.upsert({
@@ -118,16 +177,19 @@ export class InitialSyncService {
   /**
    * Sync all products and their variants
    */
-  async syncProducts() {
-    const syncLog = await this.createSyncLog('products', 'initial');
-    let cursor = null;
-    let totalProducts = 0;
+  async syncProducts({ delta = false } = {}) {
+    if (await this.completedInJob('products')) return;
+
+    const updatedSince = delta ? await this.getDeltaWatermark('products') : null;
+    const syncLog = await this.beginSyncLog('products', delta ? 'delta' : 'initial', updatedSince);
+    let cursor = syncLog.cursor;
+    let totalProducts = syncLog.recordsProcessed;
     
     try {
       do {
-        const productsQuery = await this.admin.graphql(`
-          query getProducts($cursor: String) {
-            products(first: 50, after: $cursor) {
+        const productsData = await this.client.request(`
+          query getProducts($cursor: String, $query: String) {
+            products(first: 50, after: $cursor, query: $query) {
               pageInfo {
                 hasNextPage
                 endCursor
@@ -138,6 +200,18 @@ export class InitialSyncService {
                   title
                   handle
                   vendor
+                  productType
+                  descriptionHtml
+                  tags
+                  options {
+                    name
+                    position
+                    values
+                  }
+                  seo {
+                    title
+                    description
+                  }
                   status
                   createdAt
                   updatedAt
@@ -149,6 +223,9 @@ export class InitialSyncService {
                         price
                         sku
                         inventoryQuantity
+                        inventoryItem {
+                          id
+                        }
                         createdAt
                         updatedAt
                       }
@@ -170,11 +247,10 @@ export class InitialSyncService {
             }
           }
         `, {
-          variables: cursor ? { cursor } : {}
+          variables: { cursor, query: updatedAtFilter(updatedSince) }
         });
 
-        const productsData = await productsQuery.json();
-        const products = productsData.data.products.edges;
+        const products = productsData.products.edges;
 
         for (const productEdge of products) {
           const product = productEdge.node;
@@ -182,12 +258,13 @@ export class InitialSyncService {
           totalProducts++;
         }
 
-        cursor = productsData.data.products.pageInfo.hasNextPage 
-          ? productsData.data.products.pageInfo.endCursor 
+        cursor = productsData.products.pageInfo.hasNextPage 
+          ? productsData.products.pageInfo.endCursor 
           : null;
 
         // Update progress
-        await this.updateSyncLog(syncLog.id, totalProducts);
+        await this.updateSyncLog(syncLog.id, totalProducts, cursor);
+        await this.checkCancelled();
         
       } while (cursor);
 
@@ -195,7 +272,7 @@ export class InitialSyncService {
       console.log(`✅ Synced ${totalProducts} products`);
       
     } catch (error) {
-      await this.failSyncLog(syncLog.id, error.message);
+      await this.failSyncLog(syncLog.id, error.message, error instanceof SyncCancelledError ? 'cancelled' : 'failed', cursor);
       throw error;
     }
   }
@@ -204,98 +281,71 @@ export class InitialSyncService {
    * Sync a single product with its variants and images
    */
   async syncSingleProduct(productData) {
-    const productId = BigInt(productData.id.replace('gid://shopify/Product/', ''));
-    
-    // Upsert product
-    const product = await db.product.upsert({
-      where: { productId },
-      update: {
-        title: productData.title,
-        handle: productData.handle,
-        vendor: productData.vendor,
-        status: productData.status.toLowerCase(),
-        updatedAt: new Date(productData.updatedAt)
-      },
-      create: {
-        productId,
-        shopId: this.shopId,
-        title: productData.title,
-        handle: productData.handle,
-        vendor: productData.vendor,
-        status: productData.status.toLowerCase(),
-        createdAt: new Date(productData.createdAt),
-        updatedAt: new Date(productData.updatedAt)
-      }
+    await upsertProduct(this.shopId, normalizeProduct(productData));
+  }
+
+  /**
+   * Sync products through a bulk operation, waiting for it to finish and for
+   * its result to be imported, here or by the bulk_operations/finish webhook.
+   * If this process dies first, the webhook imports the result.
+   */
+  async syncProductsBulk({ delta = false } = {}) {
+    if (await this.completedInJob('products')) return;
+
+    await this.checkCancelled();
+
+    const updatedSince = delta ? await this.getDeltaWatermark('products') : null;
+    const syncLog = await startBulkProductSync(this.client, this.shopId, {
+      updatedSince,
+      syncType: delta ? 'delta' : 'bulk',
+      syncJobId: this.syncJobId,
+      recordsTotal: await this.countRecords('products', updatedSince)
     });
 
-    // Sync variants
-    for (const variantEdge of productData.variants.edges) {
-      const variant = variantEdge.node;
-      const variantId = BigInt(variant.id.replace('gid://shopify/ProductVariant/', ''));
-      
-      await db.productVariant.upsert({
-        where: { variantId },
-        update: {
-          title: variant.title,
-          price: parseFloat(variant.price),
-          sku: variant.sku,
-          inventoryQuantity: variant.inventoryQuantity,
-          updatedAt: new Date(variant.updatedAt)
-        },
-        create: {
-          variantId,
-          productId: product.id,
-          title: variant.title,
-          price: parseFloat(variant.price),
-          sku: variant.sku,
-          inventoryQuantity: variant.inventoryQuantity,
-          createdAt: new Date(variant.createdAt),
-          updatedAt: new Date(variant.updatedAt)
-        }
+    try {
+      await waitForBulkOperation(this.client, syncLog.bulkOperationId, {
+        onPoll: () => this.checkCancelled()
       });
+    } catch (error) {
+      if (error instanceof SyncCancelledError) {
+        // Otherwise Shopify keeps exporting, and no other bulk query can run for the shop meanwhile
+        await cancelBulkOperation(this.client, syncLog.bulkOperationId).catch(cancelError => {
+          console.error(`❌ Failed to cancel bulk operation ${syncLog.bulkOperationId}:`, cancelError);
+        });
+      }
+      // Leaving "started" would let the bulk_operations/finish webhook import it anyway
+      await this.failSyncLog(syncLog.id, error.message, error instanceof SyncCancelledError ? 'cancelled' : 'failed');
+      throw error;
     }
 
-    // Sync images
-    for (const imageEdge of productData.images.edges) {
-      const image = imageEdge.node;
-      const imageId = BigInt(image.id.replace('gid://shopify/ProductImage/', ''));
-      
-      await db.productImage.upsert({
-        where: { imageId },
-        update: {
-          alt: image.altText,
-          width: image.width,
-          height: image.height,
-          src: image.url,
-          updatedAt: new Date()
-        },
-        create: {
-          imageId,
-          productId: product.id,
-          alt: image.altText,
-          width: image.width,
-          height: image.height,
-          src: image.url
-        }
-      });
+    const result = await waitForBulkProductImport(this.client, syncLog, {
+      onPoll: () => this.checkCancelled()
+    });
+
+    if (result.status === 'failed') {
+      throw new Error(`Bulk operation ${syncLog.bulkOperationId} did not complete${result.errorMessage ? `: ${result.errorMessage}` : ''}`);
     }
+    console.log(`✅ Bulk synced ${result.recordsProcessed} products`);
   }
 
   /**
    * Sync all customers
    */
-  async syncCustomers() {
-    const syncLog = await this.createSyncLog('customers', 'initial');
-    let cursor = null;
-    let totalCustomers = 0;
+  async syncCustomers({ delta = false } = {}) {
+    if (await this.completedInJob('customers')) return;
+
+    const updatedSince = delta ? await this.getDeltaWatermark('customers') : null;
+    const syncLog = await this.beginSyncLog('customers', delta ? 'delta' : 'initial', updatedSince);
+    let cursor = syncLog.cursor;
+    let totalCustomers = syncLog.recordsProcessed;
     
     try {
       console.log(`🔄 Starting customer sync for shop: ${this.shopDomain}`);
       
       do {
-        const customersQuery = await this.admin.graphql(`
-          query getCustomers($cursor: String) {
-            customers(first: 50, after: $cursor) {
+        const customersData = await this.client.request(`
+          query getCustomers($cursor: String, $query: String) {
+            customers(first: 50, after: $cursor, query: $query) {
               pageInfo {
                 hasNextPage
                 endCursor
@@ -315,8 +365,15 @@ export class InitialSyncService {
                   note
                   tags
                   taxExempt
+                  numberOfOrders
+                  amountSpent {
+                    amount
+                  }
                   createdAt
                   updatedAt
+                  defaultAddress {
+                    id
+                  }
                   addresses {
                     id
                     firstName
@@ -331,25 +388,17 @@ export class InitialSyncService {
                     phone
                     name
                     provinceCode
-                    countryCode
+                    countryCodeV2
                   }
                 }
               }
             }
           }
         `, {
-          variables: cursor ? { cursor } : {}
+          variables: { cursor, query: updatedAtFilter(updatedSince) }
         });
 
-        const customersData = await customersQuery.json();
-        
-        // Check for GraphQL errors
-        if (customersData.errors) {
-          console.error(`❌ GraphQL errors in customer sync:`, customersData.errors);
-          throw new Error(`GraphQL errors: ${JSON.stringify(customersData.errors)}`);
-        }
-        
-        const customers = customersData.data.customers.edges;
+        const customers = customersData.customers.edges;
         console.log(`📋 Processing ${customers.length} customers...`);
 
         for (const customerEdge of customers) {
@@ -363,11 +412,12 @@ export class InitialSyncService {
           }
         }
 
-        cursor = customersData.data.customers.pageInfo.hasNextPage 
-          ? customersData.data.customers.pageInfo.endCursor 
+        cursor = customersData.customers.pageInfo.hasNextPage 
+          ? customersData.customers.pageInfo.endCursor 
           : null;
 
-        await this.updateSyncLog(syncLog.id, totalCustomers);
+        await this.updateSyncLog(syncLog.id, totalCustomers, cursor);
+        await this.checkCancelled();
         
       } while (cursor);
 
@@ -376,7 +426,7 @@ export class InitialSyncService {
       
     } catch (error) {
       console.error(`❌ Customer sync failed for shop: ${this.shopDomain}`, error);
-      await this.failSyncLog(syncLog.id, error.message);
+      await this.failSyncLog(syncLog.id, error.message, error instanceof SyncCancelledError ? 'cancelled' : 'failed', cursor);
       throw error;
     }
   }
@@ -385,93 +435,27 @@ export class InitialSyncService {
    * Sync a single customer with addresses
    */
   async syncSingleCustomer(customerData) {
-    const customerId = BigInt(customerData.id.replace('gid://shopify/Customer/', ''));
-    
-    // Upsert customer
-    const customer = await db.customer.upsert({
-      where: { customerId },
-      update: {
-        firstName: customerData.firstName,
-        lastName: customerData.lastName,
-        email: customerData.email,
-        phone: customerData.phone,
-        totalSpent: null, // This field is not available in the API
-        ordersCount: null, // This field is not available in the API
-        updatedAt: new Date(customerData.updatedAt)
-      },
-      create: {
-        customerId,
-        shopId: this.shopId,
-        firstName: customerData.firstName,
-        lastName: customerData.lastName,
-        email: customerData.email,
-        phone: customerData.phone,
-        totalSpent: null, // This field is not available in the API
-        ordersCount: null, // This field is not available in the API
-        createdAt: new Date(customerData.createdAt),
-        updatedAt: new Date(customerData.updatedAt)
-      }
-    });
-
-    // Sync addresses
-    for (const address of customerData.addresses) {
-      const addressId = BigInt(address.id.replace('gid://shopify/MailingAddress/', ''));
-      
-      await db.customerAddress.upsert({
-        where: { addressId },
-        update: {
-          firstName: address.firstName,
-          lastName: address.lastName,
-          company: address.company,
-          address1: address.address1,
-          address2: address.address2,
-          city: address.city,
-          province: address.province,
-          country: address.country,
-          zip: address.zip,
-          phone: address.phone,
-          name: address.name,
-          provinceCode: address.provinceCode,
-          countryCode: address.countryCode,
-          default: false // This field is not available in the API, default to false
-        },
-        create: {
-          addressId,
-          customerId: customer.id,
-          firstName: address.firstName,
-          lastName: address.lastName,
-          company: address.company,
-          address1: address.address1,
-          address2: address.address2,
-          city: address.city,
-          province: address.province,
-          country: address.country,
-          zip: address.zip,
-          phone: address.phone,
-          name: address.name,
-          provinceCode: address.provinceCode,
-          countryCode: address.countryCode,
-          default: false // This field is not available in the API, default to false
-        }
-      });
-    }
+    await upsertCustomer(this.shopId, normalizeCustomer(customerData));
   }
 
   /**
    * Sync all orders
    */
-  async syncOrders() {
-    const syncLog = await this.createSyncLog('orders', 'initial');
-    let cursor = null;
-    let totalOrders = 0;
+  async syncOrders({ delta = false } = {}) {
+    if (await this.completedInJob('orders')) return;
+
+    const updatedSince = delta ? await this.getDeltaWatermark('orders') : null;
+    const syncLog = await this.beginSyncLog('orders', delta ? 'delta' : 'initial', updatedSince);
+    let cursor = syncLog.cursor;
+    let totalOrders = syncLog.recordsProcessed;
     
     try {
       console.log(`🔄 Starting order sync for shop: ${this.shopDomain}`);
       
       do {
-        const ordersQuery = await this.admin.graphql(`
-          query getOrders($cursor: String) {
-            orders(first: 50, after: $cursor) {
+        const ordersData = await this.client.request(`
+          query getOrders($cursor: String, $query: String) {
+            orders(first: 50, after: $cursor, query: $query) {
               pageInfo {
                 hasNextPage
                 endCursor
@@ -482,6 +466,8 @@ export class InitialSyncService {
                   name
                   email
                   currencyCode
+                  displayFinancialStatus
+                  displayFulfillmentStatus
                   test
                   totalPriceSet {
                     shopMoney {
@@ -574,18 +560,10 @@ export class InitialSyncService {
             }
           }
         `, {
-          variables: cursor ? { cursor } : {}
+          variables: { cursor, query: updatedAtFilter(updatedSince) }
         });
 
-        const ordersData = await ordersQuery.json();
-        
-        // Check for GraphQL errors
-        if (ordersData.errors) {
-          console.error(`❌ GraphQL errors in order sync:`, ordersData.errors);
-          throw new Error(`GraphQL errors: ${JSON.stringify(ordersData.errors)}`);
-        }
-        
-        const orders = ordersData.data.orders.edges;
+        const orders = ordersData.orders.edges;
         console.log(`📋 Processing ${orders.length} orders...`);
 
         for (const orderEdge of orders) {
@@ -599,11 +577,12 @@ export class InitialSyncService {
           }
         }
 
-        cursor = ordersData.data.orders.pageInfo.hasNextPage 
-          ? ordersData.data.orders.pageInfo.endCursor 
+        cursor = ordersData.orders.pageInfo.hasNextPage 
+          ? ordersData.orders.pageInfo.endCursor 
           : null;
 
-        await this.updateSyncLog(syncLog.id, totalOrders);
+        await this.updateSyncLog(syncLog.id, totalOrders, cursor);
+        await this.checkCancelled();
         
       } while (cursor);
 
@@ -612,7 +591,7 @@ export class InitialSyncService {
       
     } catch (error) {
       console.error(`❌ Order sync failed for shop: ${this.shopDomain}`, error);
-      await this.failSyncLog(syncLog.id, error.message);
+      await this.failSyncLog(syncLog.id, error.message, error instanceof SyncCancelledError ? 'cancelled' : 'failed', cursor);
       throw error;
     }
   }
@@ -621,178 +600,25 @@ export class InitialSyncService {
    * Sync a single order with line items and addresses
    */
   async syncSingleOrder(orderData) {
-    const orderId = BigInt(orderData.id.replace('gid://shopify/Order/', ''));
-    
-    // Find customer if exists
-    let customerId = null;
-    if (orderData.customer) {
-      const customerShopifyId = BigInt(orderData.customer.id.replace('gid://shopify/Customer/', ''));
-      const customer = await db.customer.findUnique({
-        where: { customerId: customerShopifyId }
-      });
-      customerId = customer?.id;
-    }
-
-    // Upsert order
-    const order = await db.order.upsert({
-      where: { orderId },
-      update: {
-        orderNumber: orderData.orderNumber.toString(),
-        email: orderData.email,
-        financialStatus: orderData.financialStatus,
-        fulfillmentStatus: orderData.fulfillmentStatus,
-        totalPrice: orderData.totalPriceSet?.shopMoney ? parseFloat(orderData.totalPriceSet.shopMoney.amount) : null,
-        currency: orderData.currencyCode,
-        customerId,
-        updatedAt: new Date(orderData.updatedAt)
-      },
-      create: {
-        orderId,
-        shopId: this.shopId,
-        orderNumber: orderData.orderNumber.toString(),
-        email: orderData.email,
-        financialStatus: orderData.financialStatus,
-        fulfillmentStatus: orderData.fulfillmentStatus,
-        totalPrice: orderData.totalPriceSet?.shopMoney ? parseFloat(orderData.totalPriceSet.shopMoney.amount) : null,
-        currency: orderData.currencyCode,
-        customerId,
-        createdAt: new Date(orderData.createdAt),
-        updatedAt: new Date(orderData.updatedAt)
-      }
-    });
-
-    // Sync line items
-    for (const lineItemEdge of orderData.lineItems.edges) {
-      const lineItem = lineItemEdge.node;
-      
-      let productVariantId = null;
-      let productId = null;
-      
-      if (lineItem.variant) {
-        const variantShopifyId = BigInt(lineItem.variant.id.replace('gid://shopify/ProductVariant/', ''));
-        const variant = await db.productVariant.findUnique({
-          where: { variantId: variantShopifyId }
-        });
-        productVariantId = variant?.id;
-      }
-      
-      if (lineItem.product) {
-        const productShopifyId = BigInt(lineItem.product.id.replace('gid://shopify/Product/', ''));
-        const product = await db.product.findUnique({
-          where: { productId: productShopifyId }
-        });
-        productId = product?.id;
-      }
-
-      await db.orderItem.create({
-        data: {
-          orderId: order.id,
-          productVariantId,
-          productId,
-          quantity: lineItem.quantity,
-          price: parseFloat(lineItem.originalUnitPriceSet.shopMoney.amount)
-        }
-      });
-    }
-
-    // Sync shipping address
-    if (orderData.shippingAddress) {
-      await db.shippingAddress.upsert({
-        where: { orderId: order.id },
-        update: {
-          firstName: orderData.shippingAddress.firstName,
-          lastName: orderData.shippingAddress.lastName,
-          company: orderData.shippingAddress.company,
-          address1: orderData.shippingAddress.address1,
-          address2: orderData.shippingAddress.address2,
-          city: orderData.shippingAddress.city,
-          province: orderData.shippingAddress.province,
-          country: orderData.shippingAddress.country,
-          zip: orderData.shippingAddress.zip,
-          phone: orderData.shippingAddress.phone,
-          name: orderData.shippingAddress.name,
-          countryCode: orderData.shippingAddress.countryCodeV2,
-          provinceCode: orderData.shippingAddress.provinceCode,
-          latitude: orderData.shippingAddress.latitude,
-          longitude: orderData.shippingAddress.longitude
-        },
-        create: {
-          orderId: order.id,
-          firstName: orderData.shippingAddress.firstName,
-          lastName: orderData.shippingAddress.lastName,
-          company: orderData.shippingAddress.company,
-          address1: orderData.shippingAddress.address1,
-          address2: orderData.shippingAddress.address2,
-          city: orderData.shippingAddress.city,
-          province: orderData.shippingAddress.province,
-          country: orderData.shippingAddress.country,
-          zip: orderData.shippingAddress.zip,
-          phone: orderData.shippingAddress.phone,
-          name: orderData.shippingAddress.name,
-          countryCode: orderData.shippingAddress.countryCodeV2,
-          provinceCode: orderData.shippingAddress.provinceCode,
-          latitude: orderData.shippingAddress.latitude,
-          longitude: orderData.shippingAddress.longitude
-        }
-      });
-    }
-
-    // Sync billing address
-    if (orderData.billingAddress) {
-      await db.billingAddress.upsert({
-        where: { orderId: order.id },
-        update: {
-          firstName: orderData.billingAddress.firstName,
-          lastName: orderData.billingAddress.lastName,
-          company: orderData.billingAddress.company,
-          address1: orderData.billingAddress.address1,
-          address2: orderData.billingAddress.address2,
-          city: orderData.billingAddress.city,
-          province: orderData.billingAddress.province,
-          country: orderData.billingAddress.country,
-          zip: orderData.billingAddress.zip,
-          phone: orderData.billingAddress.phone,
-          name: orderData.billingAddress.name,
-          countryCode: orderData.billingAddress.countryCodeV2,
-          provinceCode: orderData.billingAddress.provinceCode,
-          latitude: orderData.billingAddress.latitude,
-          longitude: orderData.billingAddress.longitude
-        },
-        create: {
-          orderId: order.id,
-          firstName: orderData.billingAddress.firstName,
-          lastName: orderData.billingAddress.lastName,
-          company: orderData.billingAddress.company,
-          address1: orderData.billingAddress.address1,
-          address2: orderData.billingAddress.address2,
-          city: orderData.billingAddress.city,
-          province: orderData.billingAddress.province,
-          country: orderData.billingAddress.country,
-          zip: orderData.billingAddress.zip,
-          phone: orderData.billingAddress.phone,
-          name: orderData.billingAddress.name,
-          countryCode: orderData.billingAddress.countryCodeV2,
-          provinceCode: orderData.billingAddress.provinceCode,
-          latitude: orderData.billingAddress.latitude,
-          longitude: orderData.billingAddress.longitude
-        }
-      });
-    }
+    await upsertOrder(this.shopId, normalizeOrder(orderData));
   }
 
   /**
    * Sync all collections
    */
-  async syncCollections() {
-    const syncLog = await this.createSyncLog('collections', 'initial');
-    let cursor = null;
-    let totalCollections = 0;
+  async syncCollections({ delta = false } = {}) {
+    if (await this.completedInJob('collections')) return;
+
+    const updatedSince = delta ? await this.getDeltaWatermark('collections') : null;
+    const syncLog = await this.beginSyncLog('collections', delta ? 'delta' : 'initial', updatedSince);
+    let cursor = syncLog.cursor;
+    let totalCollections = syncLog.recordsProcessed;
     
     try {
       do {
-        const collectionsQuery = await this.admin.graphql(`
-          query getCollections($cursor: String) {
-            collections(first: 50, after: $cursor) {
+        const collectionsData = await this.client.request(`
+          query getCollections($cursor: String, $query: String) {
+            collections(first: 50, after: $cursor, query: $query) {
               pageInfo {
                 hasNextPage
                 endCursor
@@ -802,6 +628,7 @@ export class InitialSyncService {
                   id
                   handle
                   title
+                  updatedAt
                   products(first: 100) {
                     edges {
                       node {
@@ -814,11 +641,10 @@ export class InitialSyncService {
             }
           }
         `, {
-          variables: cursor ? { cursor } : {}
+          variables: { cursor, query: updatedAtFilter(updatedSince) }
         });
 
-        const collectionsData = await collectionsQuery.json();
-        const collections = collectionsData.data.collections.edges;
+        const collections = collectionsData.collections.edges;
 
         for (const collectionEdge of collections) {
           const collection = collectionEdge.node;
@@ -826,11 +652,12 @@ export class InitialSyncService {
           totalCollections++;
         }
 
-        cursor = collectionsData.data.collections.pageInfo.hasNextPage 
-          ? collectionsData.data.collections.pageInfo.endCursor 
+        cursor = collectionsData.collections.pageInfo.hasNextPage 
+          ? collectionsData.collections.pageInfo.endCursor 
           : null;
 
-        await this.updateSyncLog(syncLog.id, totalCollections);
+        await this.updateSyncLog(syncLog.id, totalCollections, cursor);
+        await this.checkCancelled();
         
       } while (cursor);
 
@@ -838,7 +665,7 @@ export class InitialSyncService {
       console.log(`✅ Synced ${totalCollections} collections`);
       
     } catch (error) {
-      await this.failSyncLog(syncLog.id, error.message);
+      await this.failSyncLog(syncLog.id, error.message, error instanceof SyncCancelledError ? 'cancelled' : 'failed', cursor);
       throw error;
     }
   }
@@ -847,67 +674,309 @@ export class InitialSyncService {
    * Sync a single collection with product relationships
    */
   async syncSingleCollection(collectionData) {
-    const collectionId = BigInt(collectionData.id.replace('gid://shopify/Collection/', ''));
-    
-    // Upsert collection
-    const collection = await db.collection.upsert({
-      where: { collectionId },
-      update: {
-        handle: collectionData.handle,
-        title: collectionData.title,
-        updatedAt: new Date()
-      },
-      create: {
-        collectionId,
-        shopId: this.shopId,
-        handle: collectionData.handle,
-        title: collectionData.title,
-        createdAt: new Date(),
-        updatedAt: new Date()
+    await upsertCollection(this.shopId, normalizeCollection(collectionData));
+  }
+
+  /**
+   * Sync every location and the inventory levels stocked at each, one
+   * location at a time. The sync log's cursor is "<location id>|<page cursor>".
+   */
+  async syncInventory({ delta = false } = {}) {
+    if (await this.completedInJob('inventory')) return;
+
+    const updatedSince = delta ? await this.getDeltaWatermark('inventory') : null;
+    // Shopify has no count query for inventory levels
+    const syncLog = await this.beginSyncLog('inventory', delta ? 'delta' : 'initial', updatedSince, { counted: false });
+    let cursor = syncLog.cursor;
+    let totalLevels = syncLog.recordsProcessed;
+
+    try {
+      const locations = await this.syncLocations();
+
+      // Resume at the location and page the last run stopped at
+      let start = 0;
+      let pageCursor = null;
+      if (cursor) {
+        const [locationId, page] = cursor.split('|');
+        const index = locations.findIndex(location => String(location.locationId) === locationId);
+        if (index >= 0) {
+          start = index;
+          pageCursor = page || null;
+        }
       }
+
+      for (let index = start; index < locations.length; index++) {
+        const location = locations[index];
+
+        do {
+          cursor = `${location.locationId}|${pageCursor ?? ''}`;
+
+          const levelsData = await this.client.request(`
+            query getInventoryLevels($id: ID!, $cursor: String, $query: String) {
+              location(id: $id) {
+                inventoryLevels(first: 100, after: $cursor, query: $query) {
+                  pageInfo {
+                    hasNextPage
+                    endCursor
+                  }
+                  edges {
+                    node {
+                      ${INVENTORY_LEVEL_FIELDS}
+                    }
+                  }
+                }
+              }
+            }
+          `, {
+            variables: {
+              id: toGlobalId('Location', location.locationId),
+              cursor: pageCursor,
+              query: updatedAtFilter(updatedSince)
+            }
+          });
+
+          // The location was deleted after it was listed
+          const levels = levelsData.location?.inventoryLevels;
+          if (!levels) break;
+
+          for (const levelEdge of levels.edges) {
+            await upsertInventoryLevel(this.shopId, normalizeInventoryLevel(levelEdge.node), { source: 'sync' });
+            totalLevels++;
+          }
+
+          pageCursor = levels.pageInfo.hasNextPage ? levels.pageInfo.endCursor : null;
+
+          const nextLocation = locations[index + 1];
+          const nextCursor = pageCursor
+            ? `${location.locationId}|${pageCursor}`
+            : nextLocation ? `${nextLocation.locationId}|` : null;
+          await this.updateSyncLog(syncLog.id, totalLevels, nextCursor);
+          await this.checkCancelled();
+
+        } while (pageCursor);
+
+        pageCursor = null;
+      }
+
+      await this.completeSyncLog(syncLog.id, totalLevels, totalLevels);
+      console.log(`✅ Synced ${totalLevels} inventory levels at ${locations.length} locations`);
+
+    } catch (error) {
+      await this.failSyncLog(syncLog.id, error.message, error instanceof SyncCancelledError ? 'cancelled' : 'failed', cursor);
+      throw error;
+    }
+  }
+
+  /**
+   * Sync all locations, including deactivated ones that still hold stock.
+   * Returns the stored locations.
+   */
+  async syncLocations() {
+    const locations = [];
+    let cursor = null;
+
+    do {
+      const locationsData = await this.client.request(`
+        query getLocations($cursor: String) {
+          locations(first: 100, after: $cursor, includeInactive: true) {
+            pageInfo {
+              hasNextPage
+              endCursor
+            }
+            edges {
+              node {
+                ${LOCATION_FIELDS}
+              }
+            }
+          }
+        }
+      `, {
+        variables: { cursor }
+      });
+
+      for (const locationEdge of locationsData.locations.edges) {
+        locations.push(await upsertLocation(this.shopId, normalizeLocation(locationEdge.node)));
+      }
+
+      cursor = locationsData.locations.pageInfo.hasNextPage
+        ? locationsData.locations.pageInfo.endCursor
+        : null;
+    } while (cursor);
+
+    console.log(`✅ Synced ${locations.length} locations`);
+    return locations;
+  }
+
+  /**
+   * Watermark for a delta sync: when the last completed sync of this entity
+   * started. Anything changed while that sync was running is picked up again,
+   * which is harmless because every write is an upsert.
+   */
+  async getDeltaWatermark(entityType) {
+    const lastSync = await db.syncLog.findFirst({
+      where: {
+        shopId: this.shopId,
+        entityType,
+        status: 'completed',
+        syncType: { in: ['initial', 'delta', 'bulk'] }
+      },
+      orderBy: { startedAt: 'desc' }
     });
 
-    // Clear existing product relationships
-    await db.collectionProduct.deleteMany({
-      where: { collectionId: collection.id }
+    if (!lastSync) {
+      console.log(`ℹ️ No completed ${entityType} sync for ${this.shopDomain}, running a full ${entityType} sync`);
+      return null;
+    }
+
+    console.log(`🔄 Delta ${entityType} sync for ${this.shopDomain} since ${lastSync.startedAt.toISOString()}`);
+    return lastSync.startedAt;
+  }
+
+  /**
+   * Total number of records an entity sync will process, for progress reporting.
+   * Returns 0 when Shopify can't tell us, which the progress UI shows as indeterminate.
+   */
+  async countRecords(entityType, updatedSince = null) {
+    try {
+      const countData = await this.client.request(`
+        query countRecords($query: String) {
+          ${entityType}Count(query: $query) {
+            count
+          }
+        }
+      `, {
+        variables: { query: updatedAtFilter(updatedSince) }
+      });
+
+      return countData?.[`${entityType}Count`]?.count ?? 0;
+    } catch (error) {
+      console.warn(`⚠️ Could not count ${entityType} for ${this.shopDomain}:`, error.message);
+      return 0;
+    }
+  }
+
+  /**
+   * When resuming a background job, entities it already finished are skipped
+   */
+  async completedInJob(entityType) {
+    if (!this.syncJobId) return false;
+
+    const completed = await db.syncLog.findFirst({
+      where: { syncJobId: this.syncJobId, entityType, status: 'completed' }
+    });
+    if (completed) {
+      console.log(`⏭️ ${entityType} already synced by job ${this.syncJobId}, skipping`);
+    }
+    return Boolean(completed);
+  }
+
+  /**
+   * Called between pages. Keeps the background job's lock fresh so the worker
+   * doesn't take it over, and stops the sync if the job was cancelled or the
+   * lock was lost to another worker.
+   */
+  async checkCancelled() {
+    if (!this.syncJobId) return;
+
+    const { count } = await db.syncJob.updateMany({
+      where: { id: this.syncJobId, lockedBy: this.workerId },
+      data: { lockedAt: new Date() }
+    });
+    if (count === 0) {
+      throw new SyncCancelledError(this.syncJobId, 'is no longer locked by this worker');
+    }
+
+    const job = await db.syncJob.findUnique({
+      where: { id: this.syncJobId },
+      select: { cancelRequested: true }
+    });
+    if (job.cancelRequested) {
+      throw new SyncCancelledError(this.syncJobId);
+    }
+  }
+
+  /**
+   * Start the SyncLog for a paged entity sync. If the last run of the same kind
+   * stopped part way (partial, cancelled, or started by a sync that has died,
+   * with a cursor), that log is reopened
+   * and the sync carries on from its cursor and recordsProcessed.
+   * Pass { counted: false } for entities Shopify can't count.
+   */
+  async beginSyncLog(entityType, syncType, updatedSince = null, { counted = true } = {}) {
+    const lastRun = await db.syncLog.findFirst({
+      where: {
+        shopId: this.shopId,
+        entityType,
+        syncType: { in: ['initial', 'delta', 'bulk'] }
+      },
+      orderBy: { startedAt: 'desc' }
     });
 
-    // Sync product relationships
-    for (const productEdge of collectionData.products.edges) {
-      const productShopifyId = BigInt(productEdge.node.id.replace('gid://shopify/Product/', ''));
-      const product = await db.product.findUnique({
-        where: { productId: productShopifyId }
+    // The delta watermark comes from the last completed log (getDeltaWatermark), which
+    // an unfinished run doesn't move, so the resumed run pages through the same query
+    const resumable = lastRun?.syncType === syncType && lastRun.cursor && (
+      ['partial', 'cancelled'].includes(lastRun.status) ||
+      (lastRun.status === 'started' && await this.isAbandoned(lastRun))
+    );
+    if (resumable) {
+      console.log(`↩️ Resuming ${entityType} sync from log ${lastRun.id} after ${lastRun.recordsProcessed} records`);
+      return await db.syncLog.update({
+        where: { id: lastRun.id },
+        data: {
+          status: 'started',
+          errorMessage: null,
+          completedAt: null,
+          lockedAt: new Date(),
+          syncJobId: this.syncJobId
+        }
       });
-      
-      if (product) {
-        await db.collectionProduct.create({
-          data: {
-            collectionId: collection.id,
-            productId: product.id
-          }
-        });
-      }
     }
+
+    const recordsTotal = counted ? await this.countRecords(entityType, updatedSince) : 0;
+    return await this.createSyncLog(entityType, syncType, recordsTotal);
+  }
+
+  /**
+   * Whether a "started" log was left behind by a sync that is no longer
+   * running: its job has ended or was taken over by this one, or, outside a
+   * job, it hasn't been touched for SYNC_LOG_LOCK_TIMEOUT_MS.
+   */
+  async isAbandoned(syncLog) {
+    if (syncLog.syncJobId) {
+      if (syncLog.syncJobId === this.syncJobId) return true;
+
+      const job = await db.syncJob.findUnique({
+        where: { id: syncLog.syncJobId },
+        select: { status: true }
+      });
+      return !job || !['queued', 'running'].includes(job.status);
+    }
+
+    const lastTouched = syncLog.lockedAt ?? syncLog.startedAt;
+    return lastTouched.getTime() < Date.now() - SYNC_LOG_LOCK_TIMEOUT_MS;
   }
 
   /**
    * Helper methods for sync logging
    */
-  async createSyncLog(entityType, syncType) {
+  async createSyncLog(entityType, syncType, recordsTotal = 0) {
     return await db.syncLog.create({
       data: {
         shopId: this.shopId,
         syncType,
         entityType,
-        status: 'started'
+        status: 'started',
+        recordsTotal,
+        lockedAt: new Date(),
+        syncJobId: this.syncJobId
       }
     });
   }
 
-  async updateSyncLog(syncLogId, recordsProcessed) {
+  async updateSyncLog(syncLogId, recordsProcessed, cursor = null) {
     await db.syncLog.update({
       where: { id: syncLogId },
-      data: { recordsProcessed }
+      data: { recordsProcessed, cursor, lockedAt: new Date() }
     });
   }
 
@@ -918,19 +987,32 @@ export class InitialSyncService {
         status: 'completed',
         recordsProcessed,
         recordsTotal,
+        cursor: null,
         completedAt: new Date()
       }
     });
   }
 
-  async failSyncLog(syncLogId, errorMessage) {
+  /**
+   * Pass the cursor of the page that was being fetched when the sync stopped.
+   * A failure after at least one page is recorded as partial so the next run resumes there.
+   */
+  async failSyncLog(syncLogId, errorMessage, status = 'failed', cursor = null) {
     await db.syncLog.update({
       where: { id: syncLogId },
       data: {
-        status: 'failed',
+        status: status === 'failed' && cursor ? 'partial' : status,
         errorMessage,
+        cursor,
         completedAt: new Date()
       }
     });
   }
 }
+
+/**
+ * Shopify search query restricting a listing to records updated after the watermark
+ */
+function updatedAtFilter(updatedSince) {
+  return updatedSince ? `updated_at:>'${updatedSince.toISOString()}'` : null;
+}
@@ -0,0 +1,291 @@
+import db from "../db.server.js";
+import { parseShopifyId, toGlobalId } from "./shopify-ids.server.js";
+
+/**
+ * Per-location inventory, synced by the initial sync (GraphQL Admin API) and
+ * the inventory_levels/update webhook.
+ *
+ * An InventoryLevel is the stock of one inventory item at one location. Items
+ * belong to variants through ProductVariant.inventoryItemId; there is no
+ * foreign key, so levels can arrive before their product is synced.
+ * Whenever a level's quantities change an InventoryLevelChange is recorded,
+ * which is the history reported on the Inventory page.
+ */
+
+// The quantities stored on InventoryLevel, by their Shopify names
+const INVENTORY_QUANTITY_NAMES = {
+  available: "available",
+  committed: "committed",
+  incoming: "incoming",
+  onHand: "on_hand"
+};
+
+const QUANTITY_FIELDS = Object.keys(INVENTORY_QUANTITY_NAMES);
+
+/**
+ * GraphQL selection for a location, used by normalizeLocation
+ */
+export const LOCATION_FIELDS = `
+  id
+  name
+  isActive
+  fulfillsOnlineOrders
+  address {
+    city
+    province
+    country
+  }
+`;
+
+/**
+ * GraphQL selection for an inventory level, used by normalizeInventoryLevel
+ */
+export const INVENTORY_LEVEL_FIELDS = `
+  updatedAt
+  item {
+    id
+  }
+  location {
+    id
+  }
+  quantities(names: ${JSON.stringify(Object.values(INVENTORY_QUANTITY_NAMES))}) {
+    name
+    quantity
+  }
+`;
+
+/**
+ * Convert a GraphQL Location node
+ */
+export function normalizeLocation(locationData) {
+  return {
+    locationId: parseShopifyId(locationData.id),
+    name: locationData.name,
+    isActive: locationData.isActive ?? true,
+    fulfillsOnlineOrders: locationData.fulfillsOnlineOrders ?? true,
+    city: locationData.address?.city || null,
+    province: locationData.address?.province || null,
+    country: locationData.address?.country || null
+  };
+}
+
+/**
+ * Convert a GraphQL InventoryLevel node into
+ * { inventoryItemId, locationId, available, committed, incoming, onHand, updatedAt }
+ * where locationId is Shopify's id.
+ */
+export function normalizeInventoryLevel(levelData) {
+  const quantities = Object.fromEntries(
+    (levelData.quantities || []).map(({ name, quantity }) => [name, quantity])
+  );
+
+  return {
+    inventoryItemId: parseShopifyId(levelData.item.id),
+    locationId: parseShopifyId(levelData.location.id),
+    ...Object.fromEntries(QUANTITY_FIELDS.map(field => [field, quantities[INVENTORY_QUANTITY_NAMES[field]] ?? 0])),
+    updatedAt: levelData.updatedAt ? new Date(levelData.updatedAt) : new Date()
+  };
+}
+
+/**
+ * Create or update a location. Returns the stored location.
+ */
+export async function upsertLocation(shopId, location) {
+  const { locationId, ...locationFields } = location;
+
+  return await db.location.upsert({
+    where: { locationId },
+    update: locationFields,
+    create: { ...locationFields, locationId, shopId }
+  });
+}
+
+/**
+ * Store an inventory level and record a change when its quantities differ
+ * from what was stored. The location must already be stored.
+ * Levels older than the stored one are ignored.
+ * Returns { level, changed } or { skipped: reason }.
+ */
+export async function upsertInventoryLevel(shopId, level, { source }) {
+  const location = await db.location.findUnique({
+    where: { locationId: level.locationId },
+    select: { id: true }
+  });
+  if (!location) {
+    throw new Error(`Location ${level.locationId} has not been synced`);
+  }
+
+  return await db.$transaction(async (tx) => {
+    const where = { inventoryItemId_locationId: { inventoryItemId: level.inventoryItemId, locationId: location.id } };
+    const existing = await tx.inventoryLevel.findUnique({ where });
+
+    if (existing && level.updatedAt < existing.updatedAt) {
+      return { skipped: `Inventory level is older than the stored one (updated ${level.updatedAt.toISOString()}, stored ${existing.updatedAt.toISOString()})` };
+    }
+
+    const quantities = Object.fromEntries(QUANTITY_FIELDS.map(field => [field, level[field]]));
+    const stored = await tx.inventoryLevel.upsert({
+      where,
+      update: { ...quantities, updatedAt: level.updatedAt },
+      create: {
+        ...quantities,
+        shopId,
+        inventoryItemId: level.inventoryItemId,
+        locationId: location.id,
+        updatedAt: level.updatedAt
+      }
+    });
+
+    const changed = !existing || QUANTITY_FIELDS.some(field => existing[field] !== stored[field]);
+    if (changed) {
+      await tx.inventoryLevelChange.create({
+        data: {
+          inventoryLevelId: stored.id,
+          ...quantities,
+          availableDelta: stored.available - (existing?.available ?? 0),
+          source,
+          changedAt: level.updatedAt
+        }
+      });
+
+      // Keep the variant's total in step, as Shopify reports it: available across locations
+      const { _sum } = await tx.inventoryLevel.aggregate({
+        where: { inventoryItemId: level.inventoryItemId },
+        _sum: { available: true }
+      });
+      await tx.productVariant.updateMany({
+        where: { inventoryItemId: level.inventoryItemId },
+        data: { inventoryQuantity: _sum.available ?? 0 }
+      });
+    }
+
+    return { level: stored, changed };
+  });
+}
+
+/**
+ * Remove an item's level at a location, with its history, once the item is
+ * no longer stocked there. Returns the number of levels removed.
+ */
+export async function deleteInventoryLevel(inventoryItemId, locationId) {
+  const where = { inventoryItemId, location: { locationId } };
+
+  return await db.$transaction(async (tx) => {
+    await tx.inventoryLevelChange.deleteMany({ where: { inventoryLevel: where } });
+    const { count } = await tx.inventoryLevel.deleteMany({ where });
+    return count;
+  });
+}
+
+/**
+ * Look up an inventory level with all its quantities and its location.
+ * inventory_levels/update payloads only carry the available quantity.
+ * client is an AdminGraphQLClient. Returns { level, location }, or null when
+ * the item is no longer stocked at the location.
+ */
+export async function fetchInventoryLevel(client, inventoryItemId, locationId) {
+  const data = await client.request(`
+    query getInventoryLevel($itemId: ID!, $locationId: ID!) {
+      inventoryItem(id: $itemId) {
+        inventoryLevel(locationId: $locationId) {
+          ${INVENTORY_LEVEL_FIELDS}
+          location {
+            ${LOCATION_FIELDS}
+          }
+        }
+      }
+    }
+  `, {
+    variables: {
+      itemId: toGlobalId("InventoryItem", inventoryItemId),
+      locationId: toGlobalId("Location", locationId)
+    }
+  });
+
+  const levelData = data.inventoryItem?.inventoryLevel;
+  if (!levelData) return null;
+
+  return {
+    level: normalizeInventoryLevel(levelData),
+    location: normalizeLocation(levelData.location)
+  };
+}
+
+/**
+ * Stock per location: how many items each stocks and their total quantities
+ */
+export async function getInventoryByLocation(shopId) {
+  const locations = await db.location.findMany({
+    where: { shopId },
+    orderBy: [{ isActive: "desc" }, { name: "asc" }]
+  });
+
+  const totals = await db.inventoryLevel.groupBy({
+    by: ["locationId"],
+    where: { shopId },
+    _count: { _all: true },
+    _sum: { available: true, committed: true, incoming: true, onHand: true }
+  });
+  const totalsByLocation = new Map(totals.map(total => [total.locationId, total]));
+
+  return locations.map(location => {
+    const total = totalsByLocation.get(location.id);
+    return {
+      ...location,
+      items: total?._count._all ?? 0,
+      ...Object.fromEntries(QUANTITY_FIELDS.map(field => [field, total?._sum[field] ?? 0]))
+    };
+  });
+}
+
+/**
+ * Stock of every item at a location, lowest available first, with the
+ * product and variant each item belongs to (null when not synced)
+ */
+export async function getLocationInventory(shopId, locationId, { take = 100 } = {}) {
+  const levels = await db.inventoryLevel.findMany({
+    where: { shopId, locationId },
+    orderBy: [{ available: "asc" }, { id: "asc" }],
+    take
+  });
+
+  const variants = await db.productVariant.findMany({
+    where: { inventoryItemId: { in: levels.map(level => level.inventoryItemId) } },
+    select: {
+      inventoryItemId: true,
+      title: true,
+      sku: true,
+      product: { select: { title: true } }
+    }
+  });
+  const variantsByItem = new Map(variants.map(({ inventoryItemId, ...variant }) => [inventoryItemId, variant]));
+
+  return levels.map(level => ({
+    ...level,
+    variant: variantsByItem.get(level.inventoryItemId) ?? null
+  }));
+}
+
+/**
+ * Recorded changes of a shop's inventory levels, newest first.
+ * Pass locationId and/or inventoryItemId to narrow it down.
+ */
+export async function getInventoryHistory(shopId, { locationId, inventoryItemId, since, take = 50 } = {}) {
+  return await db.inventoryLevelChange.findMany({
+    where: {
+      inventoryLevel: {
+        shopId,
+        ...(locationId && { locationId }),
+        ...(inventoryItemId && { inventoryItemId })
+      },
+      ...(since && { changedAt: { gte: since } })
+    },
+    include: {
+      inventoryLevel: {
+        select: { inventoryItemId: true, location: { select: { name: true } } }
+      }
+    },
+    orderBy: { changedAt: "desc" },
+    take
+  });
+}
@@ -0,0 +1,204 @@
+import db from "../db.server.js";
+import { parseShopifyId, isGlobalId } from "./shopify-ids.server.js";
+
+/**
+ * Shared order mapping used by the initial sync (GraphQL Admin API) and the
+ * orders/create and orders/updated webhooks (REST payloads), so both paths
+ * write orders the same way.
+ */
+
+/**
+ * Convert a GraphQL order node or a REST/webhook order payload into the
+ * shape upsertOrder expects
+ */
+export function normalizeOrder(orderData) {
+  if (isGlobalId(orderData.id)) {
+    return {
+      orderId: parseShopifyId(orderData.id),
+      orderNumber: orderData.name,
+      email: orderData.email || null,
+      financialStatus: normalizeStatus(orderData.displayFinancialStatus),
+      fulfillmentStatus: normalizeFulfillmentStatus(orderData.displayFulfillmentStatus),
+      totalPrice: parseNumber(orderData.totalPriceSet?.shopMoney?.amount),
+      currency: orderData.currencyCode || null,
+      customerShopifyId: parseShopifyId(orderData.customer?.id),
+      createdAt: new Date(orderData.createdAt),
+      updatedAt: new Date(orderData.updatedAt || orderData.createdAt),
+      lineItems: (orderData.lineItems?.edges || []).map(({ node }) => ({
+        variantShopifyId: parseShopifyId(node.variant?.id),
+        productShopifyId: parseShopifyId(node.product?.id),
+        quantity: node.quantity,
+        price: parseNumber(node.originalUnitPriceSet?.shopMoney?.amount) ?? 0
+      })),
+      shippingAddress: normalizeAddress(orderData.shippingAddress),
+      billingAddress: normalizeAddress(orderData.billingAddress)
+    };
+  }
+
+  return {
+    orderId: parseShopifyId(orderData.id),
+    orderNumber: orderData.name || String(orderData.order_number),
+    email: orderData.email || orderData.contact_email || null,
+    financialStatus: normalizeStatus(orderData.financial_status),
+    fulfillmentStatus: normalizeFulfillmentStatus(orderData.fulfillment_status),
+    totalPrice: parseNumber(orderData.total_price),
+    currency: orderData.currency || null,
+    customerShopifyId: parseShopifyId(orderData.customer?.id),
+    createdAt: new Date(orderData.created_at),
+    updatedAt: new Date(orderData.updated_at || orderData.created_at),
+    lineItems: (orderData.line_items || []).map(lineItem => ({
+      variantShopifyId: parseShopifyId(lineItem.variant_id),
+      productShopifyId: parseShopifyId(lineItem.product_id),
+      quantity: lineItem.quantity,
+      price: parseNumber(lineItem.price) ?? 0
+    })),
+    shippingAddress: normalizeAddress(orderData.shipping_address),
+    billingAddress: normalizeAddress(orderData.billing_address)
+  };
+}
+
+/**
+ * Create or update an order with its line items and addresses.
+ * Line items are replaced on every call so re-syncing an order never
+ * duplicates them. The customer's ordersCount and totalSpent are left to the
+ * customer payloads: our order history may be incomplete (the order sync needs
+ * approval), so totals computed from it would undercount.
+ * Returns the stored order.
+ */
+export async function upsertOrder(shopId, order) {
+  // Resolve Shopify ids to our own rows up front, outside the transaction.
+  // Products, variants or the customer may not be synced yet; those links stay null.
+  const customer = order.customerShopifyId
+    ? await db.customer.findUnique({
+        where: { customerId: order.customerShopifyId },
+        select: { id: true }
+      })
+    : null;
+
+  const variantIds = order.lineItems.map(item => item.variantShopifyId).filter(Boolean);
+  const productIds = order.lineItems.map(item => item.productShopifyId).filter(Boolean);
+
+  const variants = variantIds.length > 0
+    ? await db.productVariant.findMany({
+        where: { variantId: { in: variantIds } },
+        select: { id: true, variantId: true, productId: true }
+      })
+    : [];
+  const products = productIds.length > 0
+    ? await db.product.findMany({
+        where: { productId: { in: productIds } },
+        select: { id: true, productId: true }
+      })
+    : [];
+
+  const variantsByShopifyId = new Map(variants.map(variant => [variant.variantId, variant]));
+  const productsByShopifyId = new Map(products.map(product => [product.productId, product]));
+
+  const orderFields = {
+    orderNumber: order.orderNumber,
+    email: order.email,
+    financialStatus: order.financialStatus,
+    fulfillmentStatus: order.fulfillmentStatus,
+    totalPrice: order.totalPrice,
+    currency: order.currency,
+    customerId: customer?.id ?? null,
+    updatedAt: order.updatedAt
+  };
+
+  return await db.$transaction(async (tx) => {
+    const stored = await tx.order.upsert({
+      where: { orderId: order.orderId },
+      update: orderFields,
+      create: {
+        ...orderFields,
+        orderId: order.orderId,
+        shopId,
+        createdAt: order.createdAt
+      }
+    });
+
+    await tx.orderItem.deleteMany({ where: { orderId: stored.id } });
+    if (order.lineItems.length > 0) {
+      await tx.orderItem.createMany({
+        data: order.lineItems.map(item => {
+          const variant = variantsByShopifyId.get(item.variantShopifyId);
+          const product = productsByShopifyId.get(item.productShopifyId);
+          return {
+            orderId: stored.id,
+            productVariantId: variant?.id ?? null,
+            productId: product?.id ?? variant?.productId ?? null,
+            quantity: item.quantity,
+            price: item.price
+          };
+        })
+      });
+    }
+
+    await syncOrderAddress(tx.shippingAddress, stored.id, order.shippingAddress);
+    await syncOrderAddress(tx.billingAddress, stored.id, order.billingAddress);
+
+    return stored;
+  });
+}
+
+/**
+ * Upsert an order address, or remove it when the order no longer has one
+ */
+async function syncOrderAddress(model, orderId, address) {
+  if (!address) {
+    await model.deleteMany({ where: { orderId } });
+    return;
+  }
+
+  await model.upsert({
+    where: { orderId },
+    update: address,
+    create: { ...address, orderId }
+  });
+}
+
+/**
+ * Map a GraphQL MailingAddress or REST address to the columns shared by
+ * ShippingAddress and BillingAddress
+ */
+function normalizeAddress(address) {
+  if (!address) return null;
+
+  return {
+    firstName: address.firstName ?? address.first_name ?? null,
+    lastName: address.lastName ?? address.last_name ?? null,
+    company: address.company ?? null,
+    address1: address.address1 ?? null,
+    address2: address.address2 ?? null,
+    city: address.city ?? null,
+    province: address.province ?? null,
+    country: address.country ?? null,
+    zip: address.zip ?? null,
+    phone: address.phone ?? null,
+    name: address.name ?? null,
+    countryCode: address.countryCodeV2 ?? address.country_code ?? null,
+    provinceCode: address.provinceCode ?? address.province_code ?? null,
+    latitude: parseNumber(address.latitude),
+    longitude: parseNumber(address.longitude)
+  };
+}
+
+// GraphQL returns PAID / PARTIALLY_REFUNDED, REST returns paid / partially_refunded
+function normalizeStatus(status) {
+  return status ? status.toLowerCase() : null;
+}
+
+// Store fulfillment status the way REST reports it: null when unfulfilled, "partial" when partly fulfilled
+function normalizeFulfillmentStatus(status) {
+  const normalized = normalizeStatus(status);
+  if (normalized === "unfulfilled") return null;
+  if (normalized === "partially_fulfilled") return "partial";
+  return normalized;
+}
+
+// Money amounts and coordinates arrive as strings in REST payloads and numbers or strings in GraphQL
+function parseNumber(value) {
+  if (value === null || value === undefined || value === "") return null;
+  const number = parseFloat(value);
+  return Number.isNaN(number) ? null : number;
+}
@@ -0,0 +1,222 @@
+import db from "../db.server.js";
+
+/**
+ * Per-product analytics, joining imported GA4 page reports and Search
+ * Console queries to Shopify products.
+ *
+ * A product page is reported under many paths: /products/{handle},
+ * /collections/{collection}/products/{handle}, with a locale prefix like
+ * /fr-ca/, a query string or trailing slash, or a handle the product had
+ * before it was renamed. productHandleFromPath reduces any of them to the
+ * handle, and handles resolve to products through their current handle or
+ * the ProductHandle history recorded by upsertProduct. Both are checked by
+ * scripts/testProductAnalytics.js.
+ */
+
+const DEFAULT_RANGE_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const TOP_QUERIES = 10;
+
+/**
+ * Analytics for a shop's products over startDate..endDate (YYYY-MM-DD,
+ * inclusive, the last 30 days by default). Pass productIds (Product.id) to
+ * limit it to those products; otherwise only products with data are returned.
+ *
+ * Returns one entry per product, most viewed first:
+ * { product, views, sessions, bounceRate, organicClicks, organicImpressions,
+ *   averagePosition, searchQueries, pagePaths }
+ */
+export async function getProductAnalytics(shopId, { startDate, endDate, productIds } = {}) {
+  const range = dateRange(startDate, endDate);
+  const { products, productsByHandle } = await loadProductHandles(shopId, productIds);
+
+  const stats = new Map(products.map(product => [product.id, emptyStats(product)]));
+  const statsForPath = (path) => {
+    const product = productsByHandle.get(productHandleFromPath(path));
+    return product ? stats.get(product.id) : null;
+  };
+
+  const pages = await db.googleAnalyticsHistoricalPages.findMany({
+    where: { shopId, date: range, pagePath: { contains: "/products/" } },
+    select: { pagePath: true, screenPageViews: true, uniquePageViews: true, bounceRate: true }
+  });
+
+  for (const page of pages) {
+    const entry = statsForPath(page.pagePath);
+    if (!entry) continue;
+
+    entry.views += page.screenPageViews;
+    entry.sessions += page.uniquePageViews; // The GA4 import stores sessions here
+    if (page.bounceRate !== null) {
+      entry.bouncedSessions += page.bounceRate * page.uniquePageViews;
+      entry.sessionsWithBounceRate += page.uniquePageViews;
+    }
+    entry.pagePaths.add(page.pagePath);
+  }
+
+  const searches = await db.googleAnalyticsHistoricalSearch.groupBy({
+    by: ["page", "query"],
+    where: { shopId, date: range, page: { contains: "/products/" } },
+    _sum: { clicks: true, impressions: true },
+    _avg: { position: true }
+  });
+
+  for (const search of searches) {
+    const entry = statsForPath(search.page);
+    if (!entry) continue;
+
+    const clicks = search._sum.clicks ?? 0;
+    const impressions = search._sum.impressions ?? 0;
+    entry.organicClicks += clicks;
+    entry.organicImpressions += impressions;
+    if (search._avg.position !== null) {
+      entry.weightedPosition += search._avg.position * impressions;
+    }
+
+    // The same query can land on several paths of one product
+    const query = entry.queries.get(search.query) ?? { query: search.query, clicks: 0, impressions: 0, weightedPosition: 0 };
+    query.clicks += clicks;
+    query.impressions += impressions;
+    query.weightedPosition += (search._avg.position ?? 0) * impressions;
+    entry.queries.set(search.query, query);
+  }
+
+  return [...stats.values()]
+    .filter(entry => productIds || entry.pagePaths.size > 0 || entry.queries.size > 0)
+    .map(toProductAnalytics)
+    .sort((a, b) => b.views - a.views);
+}
+
+/**
+ * Analytics for one product (Product.id). Metrics are zero when there is no
+ * data for it; returns null if the product doesn't exist.
+ */
+export async function getSingleProductAnalytics(shopId, productId, range = {}) {
+  const [analytics] = await getProductAnalytics(shopId, { ...range, productIds: [productId] });
+  return analytics ?? null;
+}
+
+/**
+ * A product's pageviews from the BigQuery export over the range, under any
+ * path ending in /products/{handle} for each handle it has had. `include`
+ * is passed on to findMany.
+ */
+export async function getProductPageviews(shopId, productId, { startDate, endDate, include } = {}) {
+  const product = await db.product.findUnique({
+    where: { id: productId },
+    select: { handle: true, handles: { select: { handle: true } } }
+  });
+  if (!product) return [];
+
+  const allHandles = [...new Set([product.handle, ...product.handles.map(({ handle }) => handle)])];
+
+  const range = dateRange(startDate, endDate);
+  return await db.googleAnalyticsPageview.findMany({
+    where: {
+      shopId,
+      eventTime: { gte: range.gte, lt: new Date(range.lte.getTime() + DAY_MS) },
+      OR: allHandles.flatMap(handle => [
+        { pagePath: { endsWith: `/products/${handle}` } },
+        { pagePath: { endsWith: `/products/${handle}/` } }
+      ])
+    },
+    include,
+    orderBy: { eventTime: "asc" }
+  });
+}
+
+/**
+ * The product handle a page path or URL points to, or null if it isn't a
+ * product page. Query strings, fragments, trailing slashes, collection and
+ * locale prefixes are ignored.
+ */
+export function productHandleFromPath(path) {
+  if (!path) return null;
+
+  let pathname;
+  try {
+    // The base only matters for relative paths; full URLs keep their own
+    pathname = decodeURIComponent(new URL(path.trim(), "https://shop.invalid").pathname);
+  } catch {
+    return null;
+  }
+
+  const match = pathname.match(/\/products\/([^/]+)\/?$/);
+  return match ? match[1].toLowerCase() : null;
+}
+
+/**
+ * Products keyed by every handle they've had ({ handle, handles: [{ handle }] }).
+ * A current handle wins over another product's old one, since Shopify lets a
+ * freed handle be reused.
+ */
+export function mapProductsByHandle(products) {
+  const productsByHandle = new Map();
+  for (const product of products) {
+    for (const { handle } of product.handles) {
+      productsByHandle.set(handle.toLowerCase(), product);
+    }
+  }
+  for (const product of products) {
+    productsByHandle.set(product.handle.toLowerCase(), product);
+  }
+
+  return productsByHandle;
+}
+
+async function loadProductHandles(shopId, productIds) {
+  const products = await db.product.findMany({
+    where: { shopId, ...(productIds && { id: { in: productIds } }) },
+    select: { id: true, productId: true, title: true, handle: true, handles: { select: { handle: true } } }
+  });
+
+  return { products, productsByHandle: mapProductsByHandle(products) };
+}
+
+function emptyStats(product) {
+  return {
+    product,
+    views: 0,
+    sessions: 0,
+    bouncedSessions: 0,
+    sessionsWithBounceRate: 0,
+    organicClicks: 0,
+    organicImpressions: 0,
+    weightedPosition: 0,
+    queries: new Map(),
+    pagePaths: new Set()
+  };
+}
+
+function toProductAnalytics(entry) {
+  const { handles, ...product } = entry.product;
+
+  return {
+    product,
+    views: entry.views,
+    sessions: entry.sessions,
+    bounceRate: entry.sessionsWithBounceRate > 0 ? entry.bouncedSessions / entry.sessionsWithBounceRate : null,
+    organicClicks: entry.organicClicks,
+    organicImpressions: entry.organicImpressions,
+    averagePosition: entry.organicImpressions > 0 ? entry.weightedPosition / entry.organicImpressions : null,
+    searchQueries: [...entry.queries.values()]
+      .sort((a, b) => b.clicks - a.clicks || b.impressions - a.impressions)
+      .slice(0, TOP_QUERIES)
+      .map(({ weightedPosition, ...query }) => ({
+        ...query,
+        position: query.impressions > 0 ? weightedPosition / query.impressions : null
+      })),
+    pagePaths: [...entry.pagePaths]
+  };
+}
+
+// Dates are YYYY-MM-DD in UTC, matching the @db.Date columns
+function dateRange(startDate, endDate) {
+  const end = endDate ? new Date(`${endDate}T00:00:00Z`) : new Date(new Date().toISOString().split("T")[0] + "T00:00:00Z");
+  const start = startDate ? new Date(`${startDate}T00:00:00Z`) : new Date(end.getTime() - (DEFAULT_RANGE_DAYS - 1) * DAY_MS);
+
+  if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+    throw new Error("Dates must be in YYYY-MM-DD format");
+  }
+  return { gte: start, lte: end };
+}
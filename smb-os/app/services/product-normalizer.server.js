@@ -0,0 +1,137 @@
+import { parseShopifyId, isGlobalId } from "./shopify-ids.server.js";
+
+/**
+ * Canonical product records shared by every product ingestion path.
+ *
+ * Products reach us in three shapes:
+ *  - GraphQL Admin API nodes (InitialSyncService)
+ *  - REST webhook payloads (products/create, products/update)
+ *  - REST Admin API resources (scripts/syncShops.js)
+ *
+ * normalizeProduct turns any of them into the same record so status casing,
+ * timestamps and prices are stored identically whichever path wrote them.
+ * REST products carry no SEO fields, so seoTitle and seoDescription are only
+ * set for GraphQL nodes that selected seo.
+ * Kept free of database access so it can be exercised against fixtures
+ * (see scripts/testProductNormalizer.js).
+ */
+
+/**
+ * Convert a product in any supported shape into
+ * { productId, title, handle, vendor, productType, descriptionHtml, tags, options,
+ *   seoTitle?, seoDescription?, status, createdAt, updatedAt, variants, images }
+ */
+export function normalizeProduct(productData) {
+  if (isGlobalId(productData.id)) {
+    return normalizeGraphQLProduct(productData);
+  }
+  return normalizeRestProduct(productData);
+}
+
+function normalizeGraphQLProduct(productData) {
+  const createdAt = new Date(productData.createdAt);
+
+  return {
+    productId: parseShopifyId(productData.id),
+    title: productData.title,
+    handle: productData.handle,
+    vendor: productData.vendor || null,
+    productType: productData.productType || null,
+    descriptionHtml: productData.descriptionHtml || null,
+    tags: productData.tags || [],
+    options: normalizeOptions(productData.options),
+    ...(productData.seo && {
+      seoTitle: productData.seo.title || null,
+      seoDescription: productData.seo.description || null
+    }),
+    status: normalizeStatus(productData.status),
+    createdAt,
+    updatedAt: productData.updatedAt ? new Date(productData.updatedAt) : createdAt,
+    variants: connectionNodes(productData.variants).map(variant => ({
+      variantId: parseShopifyId(variant.id),
+      title: variant.title ?? null,
+      price: parseNumber(variant.price),
+      sku: variant.sku || null,
+      inventoryQuantity: variant.inventoryQuantity ?? null,
+      inventoryItemId: parseShopifyId(variant.inventoryItem?.id),
+      createdAt: variant.createdAt ? new Date(variant.createdAt) : createdAt,
+      updatedAt: new Date(variant.updatedAt || variant.createdAt || productData.updatedAt || productData.createdAt)
+    })),
+    images: connectionNodes(productData.images).map(image => ({
+      imageId: parseShopifyId(image.id),
+      alt: image.altText || null,
+      width: image.width ?? null,
+      height: image.height ?? null,
+      src: image.url
+    }))
+  };
+}
+
+// REST webhook payloads and REST Admin API resources share the same snake_case shape
+function normalizeRestProduct(productData) {
+  const createdAt = new Date(productData.created_at);
+
+  return {
+    productId: parseShopifyId(productData.id),
+    title: productData.title,
+    handle: productData.handle,
+    vendor: productData.vendor || null,
+    productType: productData.product_type || null,
+    descriptionHtml: productData.body_html || null,
+    tags: parseTags(productData.tags),
+    options: normalizeOptions(productData.options),
+    status: normalizeStatus(productData.status),
+    createdAt,
+    updatedAt: productData.updated_at ? new Date(productData.updated_at) : createdAt,
+    variants: (productData.variants || []).map(variant => ({
+      variantId: parseShopifyId(variant.id),
+      title: variant.title ?? null,
+      price: parseNumber(variant.price),
+      sku: variant.sku || null,
+      inventoryQuantity: variant.inventory_quantity ?? null,
+      inventoryItemId: parseShopifyId(variant.inventory_item_id),
+      createdAt: variant.created_at ? new Date(variant.created_at) : createdAt,
+      updatedAt: new Date(variant.updated_at || variant.created_at || productData.updated_at || productData.created_at)
+    })),
+    images: (productData.images || []).map(image => ({
+      imageId: parseShopifyId(image.id),
+      alt: image.alt || null,
+      width: image.width ?? null,
+      height: image.height ?? null,
+      src: image.src
+    }))
+  };
+}
+
+// GraphQL returns ACTIVE / DRAFT / ARCHIVED, REST returns active / draft / archived
+function normalizeStatus(status) {
+  return status ? status.toLowerCase() : "active";
+}
+
+// REST sends tags as one comma separated string, GraphQL as a list
+function parseTags(tags) {
+  if (Array.isArray(tags)) return tags;
+  return (tags || "").split(",").map(tag => tag.trim()).filter(Boolean);
+}
+
+// REST options also carry ids, which GraphQL nodes don't select
+function normalizeOptions(options) {
+  return (options || []).map(option => ({
+    name: option.name,
+    position: option.position ?? null,
+    values: option.values || []
+  }));
+}
+
+// Accept both { edges: [{ node }] } and { nodes: [] } connections
+function connectionNodes(connection) {
+  if (!connection) return [];
+  if (connection.nodes) return connection.nodes;
+  return (connection.edges || []).map(edge => edge.node);
+}
+
+function parseNumber(value) {
+  if (value === null || value === undefined || value === "") return null;
+  const number = parseFloat(value);
+  return Number.isNaN(number) ? null : number;
+}
@@ -0,0 +1,138 @@
+import db from "../db.server.js";
+import { toGlobalId } from "./shopify-ids.server.js";
+
+/**
+ * Writes canonical product records (see product-normalizer.server.js) to the
+ * Product, ProductVariant and ProductImage tables. Used by the initial sync,
+ * the product webhooks and scripts/syncShops.js.
+ */
+
+/**
+ * Create or update a product with its variants and images. Returns the stored product.
+ */
+export async function upsertProduct(shopId, product) {
+  const productFields = {
+    title: product.title,
+    handle: product.handle,
+    vendor: product.vendor,
+    productType: product.productType,
+    descriptionHtml: product.descriptionHtml,
+    tags: JSON.stringify(product.tags),
+    options: JSON.stringify(product.options),
+    // Left as stored when the payload had no SEO fields (undefined)
+    seoTitle: product.seoTitle,
+    seoDescription: product.seoDescription,
+    status: product.status,
+    updatedAt: product.updatedAt
+  };
+
+  return await db.$transaction(async (tx) => {
+    const stored = await tx.product.upsert({
+      where: { productId: product.productId },
+      update: productFields,
+      create: {
+        ...productFields,
+        productId: product.productId,
+        shopId,
+        createdAt: product.createdAt
+      }
+    });
+
+    // Old handles are kept, so analytics for the product's previous URLs still count
+    await tx.productHandle.upsert({
+      where: { productId_handle: { productId: stored.id, handle: stored.handle } },
+      update: {},
+      create: { shopId: stored.shopId, productId: stored.id, handle: stored.handle }
+    });
+
+    for (const { variantId, createdAt, ...variant } of product.variants) {
+      await tx.productVariant.upsert({
+        where: { variantId },
+        update: variant,
+        create: { ...variant, variantId, createdAt, productId: stored.id }
+      });
+    }
+
+    for (const { imageId, ...image } of product.images) {
+      await tx.productImage.upsert({
+        where: { imageId },
+        update: { ...image, updatedAt: new Date() },
+        create: { ...image, imageId, productId: stored.id }
+      });
+    }
+
+    return stored;
+  });
+}
+
+/**
+ * Apply a products/delete. The Product row is soft deleted rather than removed
+ * because order items may still point at it. Images, collection links and
+ * the variants' inventory levels are removed, as are variants that no order
+ * item references.
+ * Returns null when the product was never stored.
+ */
+export async function deleteProduct(productId) {
+  const product = await db.product.findUnique({
+    where: { productId },
+    select: { id: true }
+  });
+  if (!product) return null;
+
+  const deletedAt = new Date();
+
+  return await db.$transaction(async (tx) => {
+    const { count: imagesRemoved } = await tx.productImage.deleteMany({
+      where: { productId: product.id }
+    });
+    const { count: collectionsRemoved } = await tx.collectionProduct.deleteMany({
+      where: { productId: product.id }
+    });
+
+    // Shopify deletes the variants' inventory items with the product
+    const variants = await tx.productVariant.findMany({
+      where: { productId: product.id, inventoryItemId: { not: null } },
+      select: { inventoryItemId: true }
+    });
+    const inventoryLevels = { inventoryItemId: { in: variants.map(variant => variant.inventoryItemId) } };
+    await tx.inventoryLevelChange.deleteMany({ where: { inventoryLevel: inventoryLevels } });
+    const { count: inventoryLevelsRemoved } = await tx.inventoryLevel.deleteMany({ where: inventoryLevels });
+
+    const { count: variantsRemoved } = await tx.productVariant.deleteMany({
+      where: { productId: product.id, orderItems: { none: {} } }
+    });
+
+    // updatedAt moves forward too, so a late products/update is treated as stale
+    await tx.product.update({
+      where: { id: product.id },
+      data: { deletedAt, updatedAt: deletedAt }
+    });
+
+    return { imagesRemoved, collectionsRemoved, variantsRemoved, inventoryLevelsRemoved };
+  });
+}
+
+/**
+ * A product's SEO title and description. Webhook payloads don't include
+ * them, so products/create and products/update look them up.
+ * client is an AdminGraphQLClient. Returns null when the product no longer exists.
+ */
+export async function fetchProductSeo(client, productId) {
+  const data = await client.request(`
+    query getProductSeo($id: ID!) {
+      product(id: $id) {
+        seo {
+          title
+          description
+        }
+      }
+    }
+  `, {
+    variables: { id: toGlobalId("Product", productId) }
+  });
+
+  if (!data.product) return null;
+
+  const { seo } = data.product;
+  return { seoTitle: seo.title || null, seoDescription: seo.description || null };
+}
@@ -0,0 +1,90 @@
+import { getSearchConsoleClient } from "./analytics-connections.server.js";
+import { upsertAnalyticsRows } from "./analytics-writer.server.js";
+
+/**
+ * Imports Search Console search analytics (clicks, impressions, CTR and
+ * position per query, page, country and device) for one shop. Rows are
+ * upserted in batches, so a range can be imported again as Google finalizes
+ * its numbers.
+ *
+ * The API returns at most ROW_LIMIT rows per request, so each day is
+ * requested separately and paged with startRow until it runs out.
+ */
+
+const ROW_LIMIT = 25000; // Maximum Search Console returns per request
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Import startDate..endDate (YYYY-MM-DD, inclusive), oldest day first.
+ * onDayImported(date, recordsSoFar) is awaited after each complete day.
+ * Returns the number of rows written.
+ */
+export async function importSearchConsoleData(shopId, { startDate, endDate }, { onDayImported } = {}) {
+  const { searchconsole, siteUrl } = await getSearchConsoleClient(shopId);
+
+  console.log(`🔎 Importing Search Console data for shop ${shopId} (${siteUrl}) from ${startDate} to ${endDate}`);
+
+  let importCount = 0;
+  for (let day = startDate; day <= endDate; day = nextDay(day)) {
+    const date = parseDate(day);
+    let startRow = 0;
+    let dayCount = 0;
+
+    for (;;) {
+      const response = await searchconsole.searchanalytics.query({
+        siteUrl,
+        requestBody: {
+          startDate: day,
+          endDate: day,
+          dimensions: ["query", "page", "country", "device"],
+          rowLimit: ROW_LIMIT,
+          startRow
+        }
+      });
+
+      const rows = response.data.rows || [];
+      dayCount += await upsertAnalyticsRows("googleAnalyticsHistoricalSearch", rows.map(row => toRow(shopId, date, row)), {
+        label: `Search Console ${day}`
+      });
+
+      if (rows.length < ROW_LIMIT) break;
+      startRow += rows.length;
+    }
+
+    importCount += dayCount;
+    console.log(`Imported ${dayCount} search console rows for ${day}`);
+    await onDayImported?.(day, importCount);
+  }
+
+  console.log(`✅ Imported ${importCount} search console records for shop ${shopId}`);
+  return importCount;
+}
+
+function toRow(shopId, date, row) {
+  return {
+    shopId,
+    date,
+    query: row.keys[0] || "",
+    page: row.keys[1] || null,
+    country: row.keys[2] || null,
+    device: row.keys[3] || null,
+    clicks: parseInt(row.clicks) || 0,
+    impressions: parseInt(row.impressions) || 0,
+    ctr: parseFloat(row.ctr) || null,
+    position: parseFloat(row.position) || null
+  };
+}
+
+function nextDay(day) {
+  return new Date(parseDate(day).getTime() + DAY_MS).toISOString().split("T")[0];
+}
+
+// Days are YYYY-MM-DD and stored as midnight UTC
+function parseDate(dateString) {
+  const date = new Date(dateString + "T00:00:00.000Z");
+  if (isNaN(date.getTime())) {
+    console.warn("Invalid date created from:", dateString);
+    return null;
+  }
+  return date;
+}
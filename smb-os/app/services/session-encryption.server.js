@@ -0,0 +1,215 @@
+import crypto from "crypto";
+import { Session } from "@shopify/shopify-api";
+import db from "../db.server.js";
+import { parseEncryptionKey } from "./encryption.server.js";
+
+/**
+ * Encryption of Shopify access tokens in the Session table.
+ *
+ * Tokens are envelope encrypted: each token gets its own random data key
+ * (AES-256-GCM), and the data key is stored wrapped by a key encryption
+ * key from the environment. Rotating the key encryption key then only
+ * means re-wrapping the small data keys (see reencryptStoredSessions).
+ *
+ * Key encryption keys come from SESSION_ENCRYPTION_KEYS, a comma separated
+ * list of "id:key" pairs (keys as 32 bytes of hex or base64). The first one
+ * encrypts new tokens; the others are only used to decrypt tokens that
+ * haven't been re-wrapped yet. Without it, ENCRYPTION_KEY is used with the
+ * id "default".
+ *
+ * Stored tokens look like "ek1:<key id>:<wrapped data key>:<sealed token>".
+ * Tokens stored before encryption was added are read as they are until
+ * scripts/encryptSessionTokens.js encrypts them.
+ */
+
+const ALGORITHM = "aes-256-gcm";
+const PREFIX = "ek1";
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+
+let cachedKeys = null;
+
+/**
+ * Session storage that encrypts access tokens before handing sessions to
+ * `storage` (e.g. PrismaSessionStorage) and decrypts them when loading
+ */
+export class EncryptedSessionStorage {
+  constructor(storage) {
+    this.storage = storage;
+  }
+
+  async storeSession(session) {
+    const stored = new Session(session.toObject());
+    stored.accessToken = encryptAccessToken(session.accessToken);
+    return await this.storage.storeSession(stored);
+  }
+
+  async loadSession(id) {
+    const session = await this.storage.loadSession(id);
+    return session && decryptSession(session);
+  }
+
+  async deleteSession(id) {
+    return await this.storage.deleteSession(id);
+  }
+
+  async deleteSessions(ids) {
+    return await this.storage.deleteSessions(ids);
+  }
+
+  async findSessionsByShop(shop) {
+    const sessions = await this.storage.findSessionsByShop(shop);
+    return sessions.map(decryptSession);
+  }
+
+  async isReady() {
+    return this.storage.isReady ? await this.storage.isReady() : true;
+  }
+}
+
+/**
+ * Encrypt a token under the current key. Empty tokens are stored as they are.
+ */
+export function encryptAccessToken(token) {
+  if (!token) return token;
+
+  const { id, key } = getKeys().current;
+  const dataKey = crypto.randomBytes(32);
+
+  return [PREFIX, id, seal(key, dataKey), seal(dataKey, Buffer.from(token, "utf8"))].join(":");
+}
+
+/**
+ * Decrypt a stored token. Tokens stored before encryption are returned as
+ * they are. Throws if the token's key isn't configured or it was tampered with.
+ */
+export function decryptAccessToken(stored) {
+  if (!isEncryptedToken(stored)) return stored;
+
+  const [, keyId, wrappedKey, sealedToken] = stored.split(":");
+  return open(unwrapDataKey(keyId, wrappedKey), sealedToken).toString("utf8");
+}
+
+export function isEncryptedToken(stored) {
+  return typeof stored === "string" && stored.startsWith(`${PREFIX}:`);
+}
+
+/**
+ * Encrypt every stored token that is still in plaintext, and re-wrap the
+ * data keys of tokens encrypted under a key that is no longer current.
+ * Run after enabling encryption or putting a new key first in
+ * SESSION_ENCRYPTION_KEYS; old keys can be removed once it has finished.
+ * Returns { checked, encrypted, rewrapped }.
+ */
+export async function reencryptStoredSessions({ batchSize = 100 } = {}) {
+  const { current } = getKeys();
+  const results = { checked: 0, encrypted: 0, rewrapped: 0 };
+  let cursor;
+
+  for (;;) {
+    const rows = await db.session.findMany({
+      select: { id: true, accessToken: true },
+      orderBy: { id: "asc" },
+      take: batchSize,
+      ...(cursor && { skip: 1, cursor: { id: cursor } })
+    });
+    if (rows.length === 0) break;
+
+    for (const row of rows) {
+      results.checked++;
+      if (!row.accessToken) continue;
+
+      let accessToken;
+      if (!isEncryptedToken(row.accessToken)) {
+        accessToken = encryptAccessToken(row.accessToken);
+        results.encrypted++;
+      } else if (row.accessToken.split(":")[1] !== current.id) {
+        accessToken = rewrapAccessToken(row.accessToken);
+        results.rewrapped++;
+      } else {
+        continue;
+      }
+
+      // Only if nobody stored a new token in the meantime
+      await db.session.updateMany({
+        where: { id: row.id, accessToken: row.accessToken },
+        data: { accessToken }
+      });
+    }
+
+    cursor = rows[rows.length - 1].id;
+  }
+
+  return results;
+}
+
+/**
+ * The offline session of a shop, with its token decrypted, for scripts and
+ * workers that call the Admin API outside a request. Returns null when the
+ * shop has no offline session.
+ */
+export async function getOfflineSession(shopDomain) {
+  const row = await db.session.findFirst({
+    where: { shop: shopDomain, isOnline: false }
+  });
+  return row && { ...row, accessToken: decryptAccessToken(row.accessToken) };
+}
+
+function decryptSession(session) {
+  session.accessToken = decryptAccessToken(session.accessToken);
+  return session;
+}
+
+// Move a token's data key to the current key; the sealed token is unchanged
+function rewrapAccessToken(stored) {
+  const [, keyId, wrappedKey, sealedToken] = stored.split(":");
+  const { id, key } = getKeys().current;
+
+  return [PREFIX, id, seal(key, unwrapDataKey(keyId, wrappedKey)), sealedToken].join(":");
+}
+
+function unwrapDataKey(keyId, wrappedKey) {
+  const key = getKeys().byId.get(keyId);
+  if (!key) {
+    throw new Error(`Session token is encrypted with key "${keyId}", which is not in SESSION_ENCRYPTION_KEYS`);
+  }
+  return open(key, wrappedKey);
+}
+
+// AES-256-GCM, as base64 of iv + auth tag + ciphertext
+function seal(key, plaintext) {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+
+  return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString("base64");
+}
+
+function open(key, sealed) {
+  const buffer = Buffer.from(sealed, "base64");
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, buffer.subarray(0, IV_LENGTH));
+  decipher.setAuthTag(buffer.subarray(IV_LENGTH, IV_LENGTH + TAG_LENGTH));
+
+  return Buffer.concat([decipher.update(buffer.subarray(IV_LENGTH + TAG_LENGTH)), decipher.final()]);
+}
+
+function getKeys() {
+  if (cachedKeys) return cachedKeys;
+
+  const configured = process.env.SESSION_ENCRYPTION_KEYS || (process.env.ENCRYPTION_KEY && `default:${process.env.ENCRYPTION_KEY}`);
+  if (!configured) {
+    throw new Error("SESSION_ENCRYPTION_KEYS (or ENCRYPTION_KEY) is not set, cannot encrypt or decrypt session tokens");
+  }
+
+  const keys = configured.split(",").map(entry => entry.trim()).filter(Boolean).map(entry => {
+    const separator = entry.indexOf(":");
+    const id = entry.slice(0, separator);
+    if (separator < 1 || !/^[\w.-]+$/.test(id)) {
+      throw new Error(`SESSION_ENCRYPTION_KEYS entries must look like "id:key", got "${entry.slice(0, 8)}…"`);
+    }
+    return { id, key: parseEncryptionKey(entry.slice(separator + 1), `Session encryption key "${id}"`) };
+  });
+
+  cachedKeys = { current: keys[0], byId: new Map(keys.map(({ id, key }) => [id, key])) };
+  return cachedKeys;
+}
@@ -0,0 +1,135 @@
+import db from "../db.server.js";
+import { redactShop } from "./compliance.server.js";
+
+/**
+ * Deleting a shop's data after the app is uninstalled.
+ *
+ * app/uninstalled marks the shop uninstalled and schedules a ShopDataPurge
+ * for SHOP_PURGE_GRACE_DAYS later, so a merchant who reinstalls within the
+ * window keeps their synced data: opening the app again cancels the purge.
+ * scripts/purgeUninstalledShops.js runs the purges that are due, deleting
+ * everything stored for the shop (see redactShop) and recording what was
+ * removed on the purge row, which outlives the shop.
+ *
+ * Shopify also sends shop/redact 48 hours after an uninstall, which deletes
+ * the same data right away; the purge covers shops that never receive it.
+ */
+
+const DEFAULT_GRACE_DAYS = 7;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// A purge still running after this long is assumed to have died with its process
+const RUN_TIMEOUT_MS = 60 * 60 * 1000;
+
+/**
+ * Mark a shop uninstalled and schedule its purge. Safe to call again for
+ * repeated app/uninstalled deliveries: an already scheduled purge is kept.
+ * Returns the scheduled purge.
+ */
+export async function scheduleShopPurge(shopDomain, { now = new Date() } = {}) {
+  await db.shop.updateMany({
+    where: { domain: shopDomain, uninstalledAt: null },
+    data: { uninstalledAt: now }
+  });
+
+  const scheduled = await db.shopDataPurge.findFirst({
+    where: { shopDomain, status: "scheduled" }
+  });
+  if (scheduled) return scheduled;
+
+  const graceDays = parseFloat(process.env.SHOP_PURGE_GRACE_DAYS) || DEFAULT_GRACE_DAYS;
+  const purge = await db.shopDataPurge.create({
+    data: {
+      shopDomain,
+      uninstalledAt: now,
+      scheduledFor: new Date(now.getTime() + graceDays * DAY_MS)
+    }
+  });
+
+  console.log(`🗓️ Scheduled data purge for ${shopDomain} on ${purge.scheduledFor.toISOString()}`);
+  return purge;
+}
+
+/**
+ * Cancel a shop's scheduled purge because it was reinstalled.
+ * Returns the number of purges cancelled.
+ */
+export async function cancelShopPurge(shopDomain) {
+  await db.shop.updateMany({
+    where: { domain: shopDomain, uninstalledAt: { not: null } },
+    data: { uninstalledAt: null }
+  });
+
+  const { count } = await db.shopDataPurge.updateMany({
+    where: { shopDomain, status: "scheduled" },
+    data: { status: "cancelled", completedAt: new Date() }
+  });
+
+  if (count > 0) {
+    console.log(`↩️ Cancelled data purge for reinstalled shop ${shopDomain}`);
+  }
+  return count;
+}
+
+/**
+ * Run every scheduled purge whose grace period is over, one at a time.
+ * A shop that has a session again was reinstalled without the app being
+ * opened yet, so its purge is cancelled instead.
+ */
+export async function purgeDueShops({ now = new Date() } = {}) {
+  const results = { processed: 0, completed: 0, cancelled: 0, failed: 0 };
+
+  // Deleting is idempotent, so an interrupted purge is simply run again
+  await db.shopDataPurge.updateMany({
+    where: { status: "running", startedAt: { lte: new Date(now.getTime() - RUN_TIMEOUT_MS) } },
+    data: { status: "scheduled" }
+  });
+
+  const due = await db.shopDataPurge.findMany({
+    where: { status: "scheduled", scheduledFor: { lte: now } },
+    orderBy: { scheduledFor: "asc" }
+  });
+
+  for (const purge of due) {
+    // Claim it, so two workers never purge the same shop
+    const { count } = await db.shopDataPurge.updateMany({
+      where: { id: purge.id, status: "scheduled" },
+      data: { status: "running", startedAt: new Date() }
+    });
+    if (count === 0) continue;
+
+    results.processed++;
+
+    const sessions = await db.session.count({ where: { shop: purge.shopDomain } });
+    if (sessions > 0) {
+      await db.shopDataPurge.update({
+        where: { id: purge.id },
+        data: { status: "cancelled", completedAt: new Date() }
+      });
+      await db.shop.updateMany({ where: { domain: purge.shopDomain }, data: { uninstalledAt: null } });
+      console.log(`↩️ ${purge.shopDomain} was reinstalled, cancelled its data purge`);
+      results.cancelled++;
+      continue;
+    }
+
+    try {
+      const { summary } = await redactShop(purge.shopDomain);
+
+      await db.shopDataPurge.update({
+        where: { id: purge.id },
+        data: { status: "completed", summary: JSON.stringify(summary), completedAt: new Date() }
+      });
+      console.log(`🗑️ Purged data for uninstalled shop ${purge.shopDomain}:`, summary);
+      results.completed++;
+    } catch (error) {
+      // Back to scheduled, so the next run tries again
+      console.error(`❌ Data purge failed for ${purge.shopDomain}:`, error);
+      await db.shopDataPurge.update({
+        where: { id: purge.id },
+        data: { status: "scheduled", errorMessage: error.message }
+      });
+      results.failed++;
+    }
+  }
+
+  return results;
+}
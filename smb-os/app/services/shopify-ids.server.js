@@ -0,0 +1,35 @@
+/**
+ * Helpers for the two id formats Shopify hands us: numeric ids in REST and
+ * webhook payloads, and GraphQL global ids (gid://shopify/Product/123).
+ */
+
+/**
+ * Convert a numeric id, numeric string or GraphQL gid to a BigInt.
+ * Returns null for missing ids.
+ */
+export function parseShopifyId(value) {
+  if (value === null || value === undefined || value === "") return null;
+  if (typeof value === "bigint") return value;
+  if (typeof value === "number") return BigInt(value);
+
+  // Some gids carry a query string, e.g. gid://shopify/MailingAddress/1?model_name=CustomerAddress
+  const match = String(value).match(/(\d+)(?:\?.*)?$/);
+  if (!match) {
+    throw new Error(`Unrecognised Shopify id: ${value}`);
+  }
+  return BigInt(match[1]);
+}
+
+/**
+ * True when the value is a GraphQL global id rather than a numeric REST id
+ */
+export function isGlobalId(value) {
+  return typeof value === "string" && value.startsWith("gid://");
+}
+
+/**
+ * Build a GraphQL global id for a numeric id, e.g. toGlobalId("Product", 123)
+ */
+export function toGlobalId(type, id) {
+  return `gid://shopify/${type}/${id}`;
+}
@@ -0,0 +1,17 @@
+import db from "../db.server.js";
+
+/**
+ * The Shop id for a session's shop domain. Data is stored per shop, so routes
+ * scope every query with it. Throws when the shop isn't in the database yet,
+ * or returns null with { required: false }.
+ */
+export async function findShopId(shopDomain, { required = true } = {}) {
+  const shop = await db.shop.findUnique({
+    where: { domain: shopDomain },
+    select: { id: true }
+  });
+  if (!shop && required) {
+    throw new Error(`Shop not found in database: ${shopDomain}`);
+  }
+  return shop?.id ?? null;
+}
@@ -0,0 +1,256 @@
+import os from "os";
+import db from "../db.server.js";
+import { unauthenticated } from "../shopify.server.js";
+import { InitialSyncService } from "./initial-sync.server.js";
+
+/**
+ * Background sync jobs backed by the SyncJob table.
+ *
+ * The sync page only submits a job and polls its progress, so no admin
+ * request has to stay open for the length of a sync. Jobs are started right
+ * away in the receiving process, and scripts/processSyncJobs.js picks up
+ * anything left queued or abandoned by a crashed process.
+ */
+
+// A running job refreshes lockedAt between pages; one older than this is assumed abandoned
+const LOCK_TIMEOUT_MS = 10 * 60 * 1000;
+const ACTIVE_STATUSES = ["queued", "running"];
+
+export const DEFAULT_WORKER_ID = `${os.hostname()}:${process.pid}`;
+
+/**
+ * Queue a sync for a shop. Only one job per shop can be active at a time;
+ * if one already is, it's returned with existing set to true.
+ */
+export async function enqueueSyncJob(shopDomain, { mode = "full" } = {}) {
+  const shop = await db.shop.findUnique({ where: { domain: shopDomain } });
+  if (!shop) {
+    throw new Error(`Shop not found in database: ${shopDomain}`);
+  }
+
+  // The shop row lock makes a concurrent submit wait and then see this job
+  const { job, existing } = await db.$transaction(async (tx) => {
+    await lockShop(tx, shop.id);
+
+    const active = await tx.syncJob.findFirst({
+      where: { shopId: shop.id, status: { in: ACTIVE_STATUSES } },
+      orderBy: { createdAt: "desc" }
+    });
+    if (active) {
+      return { job: active, existing: true };
+    }
+
+    return {
+      job: await tx.syncJob.create({ data: { shopId: shop.id, mode } }),
+      existing: false
+    };
+  });
+
+  if (!existing) {
+    console.log(`📥 Queued ${mode} sync job ${job.id} for ${shopDomain}`);
+  }
+  return { job, existing };
+}
+
+/**
+ * Run a queued job in this process. Safe to call without awaiting: if the
+ * job has already been claimed elsewhere this is a no-op.
+ */
+export async function dispatchSyncJob(jobId, workerId = DEFAULT_WORKER_ID) {
+  try {
+    const job = await claimSyncJob(jobId, workerId);
+    if (job) {
+      await runSyncJob(job);
+    }
+  } catch (error) {
+    console.error(`❌ Failed to dispatch sync job ${jobId}:`, error);
+  }
+}
+
+/**
+ * Claim and run queued or abandoned jobs one at a time until none are left
+ * or `limit` is reached
+ */
+export async function processSyncJobs({ workerId = DEFAULT_WORKER_ID, limit = Infinity } = {}) {
+  const results = { processed: 0, completed: 0, failed: 0, cancelled: 0 };
+
+  while (results.processed < limit) {
+    const candidate = await db.syncJob.findFirst({
+      where: claimableWhere(),
+      orderBy: { createdAt: "asc" },
+      select: { id: true }
+    });
+    if (!candidate) break;
+
+    const job = await claimSyncJob(candidate.id, workerId);
+    if (!job) continue;
+
+    const status = await runSyncJob(job);
+    results.processed++;
+    results[status]++;
+  }
+
+  return results;
+}
+
+/**
+ * Atomically mark a job as running. Returns null if it isn't claimable.
+ */
+export async function claimSyncJob(jobId, workerId = DEFAULT_WORKER_ID) {
+  const now = new Date();
+  const { count } = await db.syncJob.updateMany({
+    where: { id: jobId, ...claimableWhere(now) },
+    data: {
+      status: "running",
+      lockedAt: now,
+      lockedBy: workerId,
+      startedAt: now
+    }
+  });
+
+  if (count === 0) return null;
+
+  return await db.syncJob.findUnique({ where: { id: jobId } });
+}
+
+/**
+ * Run a claimed job to the end and record the outcome.
+ * Returns the final status: completed, failed or cancelled.
+ */
+export async function runSyncJob(job) {
+  const shop = await db.shop.findUnique({ where: { id: job.shopId } });
+  console.log(`🚀 Running ${job.mode} sync job ${job.id} for ${shop.domain}`);
+
+  let status;
+  let errorMessage = null;
+  try {
+    const { admin } = await unauthenticated.admin(shop.domain);
+    const syncService = new InitialSyncService(admin, shop.domain, { syncJobId: job.id, workerId: job.lockedBy });
+    const result = await syncService.syncAllData({
+      delta: job.mode === "delta",
+      bulk: job.mode === "bulk"
+    });
+
+    status = result.success ? "completed" : result.cancelled ? "cancelled" : "failed";
+    errorMessage = result.success ? null : result.error;
+  } catch (error) {
+    console.error(`❌ Sync job ${job.id} failed:`, error);
+    status = "failed";
+    errorMessage = error.message;
+  }
+
+  // Leave the job alone if another worker has taken it over meanwhile
+  const { count } = await db.syncJob.updateMany({
+    where: { id: job.id, lockedBy: job.lockedBy },
+    data: {
+      status,
+      errorMessage,
+      completedAt: new Date(),
+      lockedAt: null,
+      lockedBy: null
+    }
+  });
+  if (count === 0) {
+    console.log(`⚠️ Sync job ${job.id} was taken over by another worker`);
+    return "cancelled";
+  }
+
+  console.log(`${status === "completed" ? "✅" : "🛑"} Sync job ${job.id} ${status}`);
+  return status;
+}
+
+/**
+ * Cancel a shop's job. Queued jobs stop immediately; running jobs stop after
+ * the page they are on. Returns the updated job, or null if it isn't the shop's.
+ */
+export async function cancelSyncJob(jobId, shopId) {
+  await db.syncJob.updateMany({
+    where: { id: jobId, shopId, status: "queued" },
+    data: { status: "cancelled", cancelRequested: true, completedAt: new Date() }
+  });
+  await db.syncJob.updateMany({
+    where: { id: jobId, shopId, status: "running" },
+    data: { cancelRequested: true }
+  });
+
+  return await db.syncJob.findFirst({ where: { id: jobId, shopId } });
+}
+
+/**
+ * Put a failed or cancelled job back in the queue. Entities it already
+ * completed are skipped when it runs again. Returns null if the job can't be
+ * resumed, including when another job for the shop is active.
+ */
+export async function resumeSyncJob(jobId, shopId) {
+  return await db.$transaction(async (tx) => {
+    await lockShop(tx, shopId);
+
+    const active = await tx.syncJob.findFirst({
+      where: { shopId, status: { in: ACTIVE_STATUSES } }
+    });
+    if (active) return null;
+
+    const { count } = await tx.syncJob.updateMany({
+      where: { id: jobId, shopId, status: { in: ["failed", "cancelled"] } },
+      data: {
+        status: "queued",
+        cancelRequested: false,
+        errorMessage: null,
+        completedAt: null,
+        lockedAt: null,
+        lockedBy: null
+      }
+    });
+    if (count === 0) return null;
+
+    return await tx.syncJob.findUnique({ where: { id: jobId } });
+  });
+}
+
+/**
+ * A job and the progress of each entity it syncs, for the progress endpoint.
+ * Without a jobId the shop's most recent job is used. Returns null if there is none.
+ */
+export async function getSyncJobProgress(shopId, jobId = null) {
+  const job = await db.syncJob.findFirst({
+    where: jobId ? { id: jobId, shopId } : { shopId },
+    orderBy: { createdAt: "desc" },
+    include: {
+      syncLogs: { orderBy: { startedAt: "asc" } }
+    }
+  });
+  if (!job) return null;
+
+  // A resumed job can have several logs per entity, the latest one wins
+  const entities = new Map();
+  for (const log of job.syncLogs) {
+    entities.set(log.entityType, {
+      entityType: log.entityType,
+      status: log.status,
+      recordsProcessed: log.recordsProcessed,
+      recordsTotal: log.recordsTotal,
+      errorMessage: log.errorMessage
+    });
+  }
+
+  const { syncLogs, ...jobFields } = job;
+  return {
+    ...jobFields,
+    active: ACTIVE_STATUSES.includes(job.status),
+    entities: [...entities.values()]
+  };
+}
+
+// Serializes job creation per shop until the transaction ends
+async function lockShop(tx, shopId) {
+  await tx.$queryRaw`SELECT id FROM "public"."Shop" WHERE id = ${shopId} FOR UPDATE`;
+}
+
+function claimableWhere(now = new Date()) {
+  return {
+    OR: [
+      { status: "queued" },
+      { status: "running", lockedAt: { lt: new Date(now.getTime() - LOCK_TIMEOUT_MS) } }
+    ]
+  };
+}
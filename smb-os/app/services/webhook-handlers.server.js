@@ -0,0 +1,266 @@
+import db from "../db.server.js";
+import { unauthenticated } from "../shopify.server.js";
+import { AdminGraphQLClient } from "./admin-graphql.server.js";
+import { finishBulkProductSync } from "./bulk-sync.server.js";
+import { normalizeCollection, upsertCollection, deleteCollection, fetchCollectionProductIds } from "./collection-sync.server.js";
+import { handleComplianceWebhook } from "./compliance.server.js";
+import { normalizeCustomer, upsertCustomer } from "./customer-sync.server.js";
+import { fetchInventoryLevel, upsertLocation, upsertInventoryLevel, deleteInventoryLevel } from "./inventory-sync.server.js";
+import { normalizeOrder, upsertOrder } from "./order-sync.server.js";
+import { normalizeProduct } from "./product-normalizer.server.js";
+import { scheduleShopPurge } from "./shop-purge.server.js";
+import { upsertProduct, deleteProduct, fetchProductSeo } from "./product-sync.server.js";
+import { parseShopifyId } from "./shopify-ids.server.js";
+
+/**
+ * Handlers for queued webhook events, keyed by the topic Shopify sends
+ * (e.g. PRODUCTS_CREATE). Each handler receives { shop, topic, payload, event }
+ * and should throw to have the event retried, or return { skipped: reason }
+ * when the event was deliberately not applied.
+ */
+export const webhookHandlers = {
+  PRODUCTS_CREATE: handleProductUpsert,
+  PRODUCTS_UPDATE: handleProductUpsert,
+  PRODUCTS_DELETE: handleProductDelete,
+  COLLECTIONS_CREATE: handleCollectionUpsert,
+  COLLECTIONS_UPDATE: handleCollectionUpsert,
+  COLLECTIONS_DELETE: handleCollectionDelete,
+  ORDERS_CREATE: handleOrderEvent,
+  ORDERS_UPDATED: handleOrderEvent,
+  CUSTOMERS_CREATE: handleCustomerEvent,
+  CUSTOMERS_UPDATE: handleCustomerEvent,
+  INVENTORY_LEVELS_UPDATE: handleInventoryLevelUpdate,
+  BULK_OPERATIONS_FINISH: handleBulkOperationFinish,
+  APP_UNINSTALLED: handleAppUninstalled,
+  APP_SCOPES_UPDATE: handleScopesUpdate,
+  // Mandatory privacy webhooks
+  CUSTOMERS_DATA_REQUEST: handleComplianceWebhook,
+  CUSTOMERS_REDACT: handleComplianceWebhook,
+  SHOP_REDACT: handleComplianceWebhook,
+};
+
+/**
+ * Look up the shop a webhook belongs to. Throws so the event is retried
+ * when the shop row hasn't been created yet.
+ */
+async function findShopOrThrow(shop) {
+  const dbShop = await db.shop.findUnique({
+    where: { domain: shop }
+  });
+
+  if (!dbShop) {
+    throw new Error(`Shop not found in database: ${shop}`);
+  }
+
+  return dbShop;
+}
+
+/**
+ * Admin API client for the webhook's shop. Handlers share the shop's rate
+ * limit with running syncs, so a burst of webhooks waits rather than failing.
+ */
+async function adminClient(shop) {
+  const { admin } = await unauthenticated.admin(shop);
+  return new AdminGraphQLClient(admin, shop);
+}
+
+/**
+ * products/create and products/update
+ */
+async function handleProductUpsert({ shop, topic, payload }) {
+  const dbShop = await findShopOrThrow(shop);
+  const product = normalizeProduct(payload);
+
+  // Webhooks can arrive out of order. Never let an older payload overwrite
+  // a product we've already stored from a newer one.
+  const existing = await db.product.findUnique({
+    where: { productId: product.productId },
+    select: { updatedAt: true }
+  });
+  if (existing && product.updatedAt < existing.updatedAt) {
+    const reason = `Stale ${topic} payload (updated_at ${product.updatedAt.toISOString()}, stored ${existing.updatedAt.toISOString()})`;
+    console.log(`⏭️ Skipping product ${payload.id}: ${reason}`);
+    return { skipped: reason };
+  }
+
+  // Product payloads don't include the SEO title and description. If the
+  // product was deleted meanwhile, the stored SEO fields are left alone.
+  const seo = await fetchProductSeo(await adminClient(shop), product.productId);
+
+  await upsertProduct(dbShop.id, { ...product, ...seo });
+
+  console.log(`✅ Product synced from webhook: ${payload.title} (ID: ${payload.id})`);
+}
+
+/**
+ * products/delete
+ */
+async function handleProductDelete({ payload }) {
+  const result = await deleteProduct(parseShopifyId(payload.id));
+  if (!result) {
+    return { skipped: `Product ${payload.id} was never synced` };
+  }
+
+  console.log(`🗑️ Product deleted from webhook: ${payload.id} (${result.variantsRemoved} variant(s), ${result.imagesRemoved} image(s), ${result.collectionsRemoved} collection link(s), ${result.inventoryLevelsRemoved} inventory level(s) removed)`);
+}
+
+/**
+ * collections/create and collections/update
+ */
+async function handleCollectionUpsert({ shop, topic, payload }) {
+  const dbShop = await findShopOrThrow(shop);
+  const collection = normalizeCollection(payload);
+
+  const existing = await db.collection.findUnique({
+    where: { collectionId: collection.collectionId },
+    select: { updatedAt: true }
+  });
+  if (existing && collection.updatedAt < existing.updatedAt) {
+    const reason = `Stale ${topic} payload (updated_at ${collection.updatedAt.toISOString()}, stored ${existing.updatedAt.toISOString()})`;
+    console.log(`⏭️ Skipping collection ${payload.id}: ${reason}`);
+    return { skipped: reason };
+  }
+
+  // Collection payloads don't say which products are in the collection
+  const productIds = await fetchCollectionProductIds(await adminClient(shop), collection.collectionId);
+  if (productIds === null) {
+    return { skipped: `Collection ${payload.id} no longer exists in Shopify` };
+  }
+
+  await upsertCollection(dbShop.id, { ...collection, productIds });
+
+  console.log(`✅ Collection synced from webhook: ${payload.title} (ID: ${payload.id}) - ${productIds.length} product(s)`);
+}
+
+/**
+ * collections/delete
+ */
+async function handleCollectionDelete({ payload }) {
+  const result = await deleteCollection(parseShopifyId(payload.id));
+  if (!result) {
+    return { skipped: `Collection ${payload.id} was never synced` };
+  }
+
+  console.log(`🗑️ Collection deleted from webhook: ${payload.id} (${result.productsUnlinked} product link(s) removed)`);
+}
+
+/**
+ * orders/create and orders/updated
+ */
+async function handleOrderEvent({ shop, topic, payload }) {
+  const dbShop = await findShopOrThrow(shop);
+  const order = normalizeOrder(payload);
+
+  // Same out-of-order protection as products: orders/updated fires on every
+  // edit, fulfillment and refund, and deliveries aren't guaranteed to be ordered
+  const existing = await db.order.findUnique({
+    where: { orderId: order.orderId },
+    select: { updatedAt: true }
+  });
+  if (existing && order.updatedAt < existing.updatedAt) {
+    const reason = `Stale ${topic} payload (updated_at ${order.updatedAt.toISOString()}, stored ${existing.updatedAt.toISOString()})`;
+    console.log(`⏭️ Skipping order ${payload.id}: ${reason}`);
+    return { skipped: reason };
+  }
+
+  await upsertOrder(dbShop.id, order);
+
+  console.log(`✅ Order synced from webhook: ${order.orderNumber} (ID: ${payload.id}) - ${order.lineItems.length} line item(s), Total: ${payload.total_price} ${payload.currency}`);
+}
+
+/**
+ * customers/create and customers/update
+ */
+async function handleCustomerEvent({ shop, topic, payload }) {
+  const dbShop = await findShopOrThrow(shop);
+  const customer = normalizeCustomer(payload);
+
+  const existing = await db.customer.findUnique({
+    where: { customerId: customer.customerId },
+    select: { updatedAt: true }
+  });
+  if (existing && customer.updatedAt < existing.updatedAt) {
+    const reason = `Stale ${topic} payload (updated_at ${customer.updatedAt.toISOString()}, stored ${existing.updatedAt.toISOString()})`;
+    console.log(`⏭️ Skipping customer ${payload.id}: ${reason}`);
+    return { skipped: reason };
+  }
+
+  await upsertCustomer(dbShop.id, customer);
+
+  console.log(`✅ Customer synced from webhook: ${payload.first_name} ${payload.last_name} (ID: ${payload.id}) - ${customer.addresses?.length ?? 0} address(es)`);
+}
+
+/**
+ * inventory_levels/update
+ */
+async function handleInventoryLevelUpdate({ shop, payload }) {
+  const dbShop = await findShopOrThrow(shop);
+  const inventoryItemId = parseShopifyId(payload.inventory_item_id);
+  const locationId = parseShopifyId(payload.location_id);
+
+  // The payload only has the available quantity, so the level is looked up
+  // for committed and incoming too (and its location, which may be new)
+  const result = await fetchInventoryLevel(await adminClient(shop), inventoryItemId, locationId);
+  if (!result) {
+    const removed = await deleteInventoryLevel(inventoryItemId, locationId);
+    return { skipped: `Item ${payload.inventory_item_id} is no longer stocked at location ${payload.location_id} (${removed} level(s) removed)` };
+  }
+
+  await upsertLocation(dbShop.id, result.location);
+  const stored = await upsertInventoryLevel(dbShop.id, result.level, { source: "webhook" });
+  if (stored.skipped) {
+    console.log(`⏭️ Skipping inventory level ${payload.inventory_item_id} at ${payload.location_id}: ${stored.skipped}`);
+    return stored;
+  }
+
+  const { level } = stored;
+  console.log(`✅ Inventory level synced from webhook: item ${payload.inventory_item_id} at ${result.location.name} - available ${level.available}, committed ${level.committed}, incoming ${level.incoming}${stored.changed ? "" : " (unchanged)"}`);
+}
+
+/**
+ * bulk_operations/finish
+ */
+async function handleBulkOperationFinish({ shop, payload }) {
+  const syncLog = await db.syncLog.findUnique({
+    where: { bulkOperationId: payload.admin_graphql_api_id }
+  });
+  if (!syncLog) {
+    return { skipped: `Bulk operation ${payload.admin_graphql_api_id} wasn't started by a sync` };
+  }
+
+  const result = await finishBulkProductSync(await adminClient(shop), syncLog);
+  if (!result) {
+    const current = await db.syncLog.findUnique({ where: { id: syncLog.id }, select: { status: true } });
+    if (current.status === "importing") {
+      // Retried by the queue, and taken over if the importing process has died
+      throw new Error(`Bulk operation ${payload.admin_graphql_api_id} is still being imported elsewhere`);
+    }
+    return { skipped: `Bulk operation ${payload.admin_graphql_api_id} was already imported` };
+  }
+
+  console.log(`✅ Bulk operation ${payload.admin_graphql_api_id} finished (${payload.status}): ${result.recordsProcessed} products imported`);
+}
+
+/**
+ * app/uninstalled
+ */
+async function handleAppUninstalled({ shop }) {
+  // Webhook requests can trigger multiple times and after an app has already been uninstalled.
+  // If this webhook already ran, the sessions have been deleted previously.
+  const { count } = await db.session.deleteMany({ where: { shop } });
+  console.log(`🗑️ Removed ${count} session(s) for uninstalled shop: ${shop}`);
+
+  // The rest of the shop's data is kept for a grace period in case it reinstalls
+  await scheduleShopPurge(shop);
+}
+
+/**
+ * app/scopes_update
+ */
+async function handleScopesUpdate({ shop, payload }) {
+  const { count } = await db.session.updateMany({
+    where: { shop, isOnline: false },
+    data: { scope: payload.current.toString() }
+  });
+  console.log(`✅ Updated scope on ${count} session(s) for ${shop}`);
+}
@@ -0,0 +1,236 @@
+import os from "os";
+import db from "../db.server.js";
+import { webhookHandlers } from "./webhook-handlers.server.js";
+
+/**
+ * Durable webhook queue backed by the WebhookEvent table.
+ *
+ * Webhook routes only validate and enqueue, then return 200 to Shopify.
+ * Events are processed either right away by the receiving instance or later
+ * by scripts/processWebhookQueue.js, whichever claims them first.
+ */
+
+const BASE_RETRY_DELAY_MS = 30 * 1000;
+const MAX_RETRY_DELAY_MS = 60 * 60 * 1000;
+// A "processing" event whose lock is older than this is assumed to belong to a crashed worker
+const LOCK_TIMEOUT_MS = 5 * 60 * 1000;
+
+export const DEFAULT_WORKER_ID = `${os.hostname()}:${process.pid}`;
+
+/**
+ * Store a webhook delivery in the queue.
+ *
+ * Shopify retries deliveries it thinks failed and may send the same event more
+ * than once, always with the same X-Shopify-Webhook-Id. The queue doubles as
+ * the delivery ledger: a webhook id that is already recorded is not queued
+ * again and `duplicate` is returned as true.
+ */
+export async function enqueueWebhookEvent({ shop, topic, webhookId, payload }) {
+  if (webhookId) {
+    const existing = await db.webhookEvent.findUnique({ where: { webhookId } });
+    if (existing) {
+      console.log(`♻️ Ignoring duplicate ${topic} webhook ${webhookId} for ${shop} (event ${existing.id}, ${existing.status})`);
+      return { event: existing, duplicate: true };
+    }
+  }
+
+  try {
+    const event = await db.webhookEvent.create({
+      data: {
+        shopDomain: shop,
+        topic,
+        webhookId: webhookId || null,
+        payload: JSON.stringify(payload)
+      }
+    });
+
+    console.log(`📥 Queued ${topic} webhook for ${shop} (event ${event.id})`);
+    return { event, duplicate: false };
+  } catch (error) {
+    // Two deliveries of the same webhook raced past the lookup above
+    if (error.code === "P2002" && webhookId) {
+      const existing = await db.webhookEvent.findUnique({ where: { webhookId } });
+      console.log(`♻️ Ignoring duplicate ${topic} webhook ${webhookId} for ${shop}`);
+      return { event: existing, duplicate: true };
+    }
+    throw error;
+  }
+}
+
+/**
+ * Try to process a freshly queued event immediately. Safe to call without
+ * awaiting: if a worker has already claimed the event this is a no-op.
+ */
+export async function dispatchWebhookEvent(eventId, workerId = DEFAULT_WORKER_ID) {
+  try {
+    const event = await claimWebhookEvent(eventId, workerId);
+    if (event) {
+      await processWebhookEvent(event);
+    }
+  } catch (error) {
+    console.error(`❌ Failed to dispatch webhook event ${eventId}:`, error);
+  }
+}
+
+/**
+ * Claim and process due events until the queue is drained or `limit` is reached
+ */
+export async function processWebhookQueue({ workerId = DEFAULT_WORKER_ID, batchSize = 25, limit = Infinity } = {}) {
+  const results = { processed: 0, completed: 0, skipped: 0, retried: 0, dead: 0 };
+
+  while (results.processed < limit) {
+    const candidates = await db.webhookEvent.findMany({
+      where: claimableWhere(),
+      orderBy: { receivedAt: "asc" },
+      select: { id: true },
+      take: Math.min(batchSize, limit - results.processed)
+    });
+
+    if (candidates.length === 0) break;
+
+    for (const { id } of candidates) {
+      // Another worker may have claimed it between findMany and now
+      const event = await claimWebhookEvent(id, workerId);
+      if (!event) continue;
+
+      const status = await processWebhookEvent(event);
+      results.processed++;
+      if (status === "completed") results.completed++;
+      else if (status === "skipped") results.skipped++;
+      else if (status === "dead") results.dead++;
+      else results.retried++;
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Atomically move a due event to "processing". Returns null if the event
+ * isn't claimable (already completed, locked by another worker, backing off).
+ */
+export async function claimWebhookEvent(eventId, workerId = DEFAULT_WORKER_ID) {
+  const now = new Date();
+  const { count } = await db.webhookEvent.updateMany({
+    where: { id: eventId, ...claimableWhere(now) },
+    data: {
+      status: "processing",
+      lockedAt: now,
+      lockedBy: workerId,
+      attempts: { increment: 1 }
+    }
+  });
+
+  if (count === 0) return null;
+
+  return await db.webhookEvent.findUnique({ where: { id: eventId } });
+}
+
+/**
+ * Run the handler for a claimed event and record the outcome.
+ * Handlers may return { skipped: reason } when the event was intentionally
+ * not applied (e.g. an out-of-order update).
+ * Returns the resulting status: completed, skipped, pending (will retry) or dead.
+ */
+export async function processWebhookEvent(event) {
+  const handler = webhookHandlers[event.topic];
+  if (!handler) {
+    return await deadLetter(event, `No handler registered for topic ${event.topic}`);
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(event.payload);
+  } catch (error) {
+    return await deadLetter(event, `Invalid JSON payload: ${error.message}`);
+  }
+
+  try {
+    const outcome = await handler({ shop: event.shopDomain, topic: event.topic, payload, event });
+    const status = outcome?.skipped ? "skipped" : "completed";
+
+    await db.webhookEvent.update({
+      where: { id: event.id },
+      data: {
+        status,
+        processedAt: new Date(),
+        lockedAt: null,
+        lockedBy: null,
+        lastError: outcome?.skipped || null
+      }
+    });
+    return status;
+  } catch (error) {
+    console.error(`❌ Webhook event ${event.id} (${event.topic}) failed on attempt ${event.attempts}:`, error);
+
+    if (event.attempts >= event.maxAttempts) {
+      return await deadLetter(event, error.message);
+    }
+
+    const delay = Math.min(BASE_RETRY_DELAY_MS * 2 ** (event.attempts - 1), MAX_RETRY_DELAY_MS);
+    await db.webhookEvent.update({
+      where: { id: event.id },
+      data: {
+        status: "pending",
+        availableAt: new Date(Date.now() + delay),
+        lockedAt: null,
+        lockedBy: null,
+        lastError: error.message
+      }
+    });
+    console.log(`🔁 Webhook event ${event.id} will be retried in ${Math.round(delay / 1000)}s`);
+    return "pending";
+  }
+}
+
+/**
+ * Put a dead-lettered event back in the queue, e.g. after fixing a handler bug
+ */
+export async function requeueWebhookEvent(eventId) {
+  return await db.webhookEvent.update({
+    where: { id: eventId },
+    data: {
+      status: "pending",
+      attempts: 0,
+      availableAt: new Date(),
+      lockedAt: null,
+      lockedBy: null
+    }
+  });
+}
+
+/**
+ * Count queued events by status, for dashboards and the worker script
+ */
+export async function getWebhookQueueStats() {
+  const groups = await db.webhookEvent.groupBy({
+    by: ["status"],
+    _count: { status: true }
+  });
+
+  return Object.fromEntries(groups.map(group => [group.status, group._count.status]));
+}
+
+function claimableWhere(now = new Date()) {
+  return {
+    OR: [
+      { status: "pending", availableAt: { lte: now } },
+      { status: "processing", lockedAt: { lt: new Date(now.getTime() - LOCK_TIMEOUT_MS) } }
+    ]
+  };
+}
+
+async function deadLetter(event, errorMessage) {
+  console.error(`💀 Webhook event ${event.id} (${event.topic}) moved to dead letter: ${errorMessage}`);
+  await db.webhookEvent.update({
+    where: { id: event.id },
+    data: {
+      status: "dead",
+      processedAt: new Date(),
+      lockedAt: null,
+      lockedBy: null,
+      lastError: errorMessage
+    }
+  });
+  return "dead";
+}
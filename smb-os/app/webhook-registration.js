@@ -1,6 +1,7 @@
 // Create this as a separate utility file: app/utils/webhook-registration.js
 import { readFileSync } from 'fs';
 import { join } from 'path';
+import { AdminGraphQLClient, ShopifyUserError } from './services/admin-graphql.server.js';
 
 function getAppUrlFromConfig() {
   try {
@@ -16,14 +17,14 @@ function getAppUrlFromConfig() {
   return null;
 }
 
-async function deleteOldWebhooks(admin, webhooksToDelete) {
+async function deleteOldWebhooks(client, webhooksToDelete) {
   console.log(`🗑️ Deleting ${webhooksToDelete.length} old webhooks...`);
   
   for (const webhook of webhooksToDelete) {
     try {
       console.log(`🗑️ Attempting to delete webhook ${webhook.topic} with ID: ${webhook.id}`);
       
-      const deleteMutation = await admin.graphql(
+      const deleteResponse = await client.request(
         `#graphql
         mutation webhookSubscriptionDelete($id: ID!) {
           webhookSubscriptionDelete(id: $id) {
@@ -41,16 +42,14 @@ async function deleteOldWebhooks(admin, webhooksToDelete) {
         }
       );
       
-      const deleteResponse = await deleteMutation.json();
       console.log(`🗑️ Delete response for ${webhook.topic}:`, JSON.stringify(deleteResponse, null, 2));
-      
-      if (deleteResponse.data.webhookSubscriptionDelete.userErrors.length > 0) {
-        console.error(`❌ Failed to delete webhook ${webhook.topic}:`, deleteResponse.data.webhookSubscriptionDelete.userErrors);
+      console.log(`✅ Deleted old webhook ${webhook.topic} (${webhook.endpoint.callbackUrl})`);
+    } catch (error) {
+      if (error instanceof ShopifyUserError) {
+        console.error(`❌ Failed to delete webhook ${webhook.topic}:`, error.userErrors);
       } else {
-        console.log(`✅ Deleted old webhook ${webhook.topic} (${webhook.endpoint.callbackUrl})`);
+        console.error(`❌ Error deleting webhook ${webhook.topic}:`, error);
       }
-    } catch (error) {
-      console.error(`❌ Error deleting webhook ${webhook.topic}:`, error);
     }
   }
 }
@@ -62,15 +61,22 @@ export async function registerWebhooks(admin, shopDomain) {
   const webhookTopics = [
     { topic: "products/create", uri: "/webhooks/products/create" },
     { topic: "products/update", uri: "/webhooks/products/update" },
+    { topic: "products/delete", uri: "/webhooks/products/delete" },
+    { topic: "collections/create", uri: "/webhooks/collections/create" },
+    { topic: "collections/update", uri: "/webhooks/collections/update" },
+    { topic: "collections/delete", uri: "/webhooks/collections/delete" },
+    { topic: "inventory_levels/update", uri: "/webhooks/inventory_levels/update" },
+    { topic: "bulk_operations/finish", uri: "/webhooks/bulk_operations/finish" },
     { topic: "app/uninstalled", uri: "/webhooks/app/uninstalled" },
     { topic: "app/scopes_update", uri: "/webhooks/app/scopes_update" }
   ];
 
   const results = [];
+  const client = new AdminGraphQLClient(admin, shopDomain);
 
   try {
     // First, get all existing webhooks
-    const existingWebhooksQuery = await admin.graphql(
+    const existingWebhooksResponse = await client.request(
         `#graphql
       query getWebhookSubscriptions {
         webhookSubscriptions(first: 50) {
@@ -89,8 +95,7 @@ export async function registerWebhooks(admin, shopDomain) {
       }`
       );
       
-    const existingWebhooksResponse = await existingWebhooksQuery.json();
-    const existingWebhooks = existingWebhooksResponse.data.webhookSubscriptions.edges;
+    const existingWebhooks = existingWebhooksResponse.webhookSubscriptions.edges;
 
     // Check if existing webhooks are pointing to the correct URL
     console.log(`📋 Found ${existingWebhooks.length} existing webhooks. Checking URLs...`);
@@ -140,7 +145,7 @@ export async function registerWebhooks(admin, shopDomain) {
     if (webhooksToUpdate.length > 0) {
       console.log(`📝 Need to update ${webhooksToUpdate.length} webhooks with incorrect URLs...`);
       // Delete old webhooks first
-      await deleteOldWebhooks(admin, webhooksToUpdate);
+      await deleteOldWebhooks(client, webhooksToUpdate);
     }
 
     // Register new webhooks
@@ -161,7 +166,7 @@ export async function registerWebhooks(admin, shopDomain) {
     
     for (const { topic, uri } of topicsNeedingWebhooks) {
       try {
-        const webhookMutation = await admin.graphql(
+        const webhookResponse = await client.request(
           `#graphql
           mutation webhookSubscriptionCreate($topic: WebhookSubscriptionTopic!, $webhookSubscription: WebhookSubscriptionInput!) {
             webhookSubscriptionCreate(topic: $topic, webhookSubscription: $webhookSubscription) {
@@ -191,18 +196,17 @@ export async function registerWebhooks(admin, shopDomain) {
           }
         );
         
-        const webhookResponse = await webhookMutation.json();
-        if (webhookResponse.data.webhookSubscriptionCreate.userErrors.length > 0) {
-          console.error(`❌ Failed to register webhook for ${topic}:`, webhookResponse.data.webhookSubscriptionCreate.userErrors);
-          results.push({ topic, status: 'failed', errors: webhookResponse.data.webhookSubscriptionCreate.userErrors });
+        const webhook = webhookResponse.webhookSubscriptionCreate.webhookSubscription;
+        console.log(`✅ Successfully registered webhook for ${topic}: ${webhook.endpoint.callbackUrl}`);
+        results.push({ topic, status: 'created', webhook });
+      } catch (error) {
+        if (error instanceof ShopifyUserError) {
+          console.error(`❌ Failed to register webhook for ${topic}:`, error.userErrors);
+          results.push({ topic, status: 'failed', errors: error.userErrors });
         } else {
-          const webhook = webhookResponse.data.webhookSubscriptionCreate.webhookSubscription;
-          console.log(`✅ Successfully registered webhook for ${topic}: ${webhook.endpoint.callbackUrl}`);
-          results.push({ topic, status: 'created', webhook });
+          console.error(`❌ Error registering webhook for ${topic}:`, error);
+          results.push({ topic, status: 'error', error: error.message });
         }
-      } catch (error) {
-        console.error(`❌ Error registering webhook for ${topic}:`, error);
-        results.push({ topic, status: 'error', error: error.message });
       }
     }
 
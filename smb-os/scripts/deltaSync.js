@@ -0,0 +1,45 @@
+import db from '../app/db.server.js';
+import { unauthenticated } from '../app/shopify.server.js';
+import { InitialSyncService } from '../app/services/initial-sync.server.js';
+
+// Pull only records changed since each shop's last completed sync, catching
+// anything the webhooks missed. Meant to be run on a schedule (e.g. cron).
+// Usage:
+//   node scripts/deltaSync.js                            # every shop that has completed an initial sync
+//   node scripts/deltaSync.js my-shop.myshopify.com      # a single shop
+//   node scripts/deltaSync.js --bulk                     # fetch changed products with a bulk operation
+
+const bulk = process.argv.includes('--bulk');
+const onlyShop = process.argv.slice(2).find(arg => !arg.startsWith('--'));
+
+async function main() {
+  const shops = await db.shop.findMany({
+    where: onlyShop ? { domain: onlyShop } : { lastSyncAt: { not: null }, uninstalledAt: null }
+  });
+
+  if (shops.length === 0) {
+    console.log('⚠️  No shops to sync');
+    return;
+  }
+
+  for (const shop of shops) {
+    try {
+      const { admin } = await unauthenticated.admin(shop.domain);
+      const result = await new InitialSyncService(admin, shop.domain).syncAllData({ delta: true, bulk });
+      if (!result.success) {
+        console.error(`❌ Delta sync failed for ${shop.domain}: ${result.error}`);
+        process.exitCode = 1;
+      }
+    } catch (err) {
+      // Usually a missing offline session, the shop needs to reopen the app
+      console.error(`❌ Could not start delta sync for ${shop.domain}:`, err.message);
+      process.exitCode = 1;
+    }
+  }
+}
+
+try {
+  await main();
+} finally {
+  await db.$disconnect();
+}
@@ -0,0 +1,17 @@
+import db from '../app/db.server.js';
+import { reencryptStoredSessions } from '../app/services/session-encryption.server.js';
+
+// Encrypts session access tokens still stored in plaintext, and moves tokens
+// encrypted under an older key to the current (first) key in SESSION_ENCRYPTION_KEYS.
+// Usage:
+//   node scripts/encryptSessionTokens.js
+// Run once after enabling encryption, and after each key rotation before removing the old key.
+try {
+  const results = await reencryptStoredSessions();
+  console.log(`✅ Checked ${results.checked} sessions (${results.encrypted} encrypted, ${results.rewrapped} moved to the current key)`);
+} catch (err) {
+  console.error('Error encrypting session tokens:', err);
+  process.exitCode = 1;
+} finally {
+  await db.$disconnect();
+}
@@ -1,17 +1,17 @@
-import { BetaAnalyticsDataClient } from '@google-analytics/data';
 import db from '../app/db.server.js';
-import path from 'path';
+import { getGa4Client } from '../app/services/analytics-connections.server.js';
 import dotenv from 'dotenv';
 import crypto from 'crypto';
 
 dotenv.config();
 
-const propertyId = process.env.GA4_PROPERTY_ID; // e.g., '123456789'
-const serviceAccountPath = process.env.GA4_SERVICE_ACCOUNT_JSON || 'service-account.json';
+// Usage: node scripts/importGoogleAnalytics.js <shop-domain>
+// The GA4 property and service account come from the shop's analytics settings.
+const shopDomain = process.argv[2] || process.env.SHOP_DOMAIN;
 
-const analytics = new BetaAnalyticsDataClient({
-  keyFilename: path.resolve(serviceAccountPath)
-});
+// Set from the shop's analytics connection before importing
+let analytics;
+let propertyId;
 
 function parseDateYYYYMMDD(dateStr) {
   // dateStr is in format YYYYMMDD
@@ -22,7 +22,19 @@ function parseDateYYYYMMDD(dateStr) {
   return new Date(year, month, day);
 }
 
-async function fetchAndImport() {
+// Analytics rows belong to a shop, so imports need to know which one
+async function getShopId() {
+  if (!shopDomain) {
+    throw new Error('Pass the shop domain as the first argument or set SHOP_DOMAIN');
+  }
+  const shop = await db.shop.findUnique({ where: { domain: shopDomain }, select: { id: true } });
+  if (!shop) {
+    throw new Error(`Shop not found in database: ${shopDomain}`);
+  }
+  return shop.id;
+}
+
+async function fetchAndImport(shopId) {
   try {
     // Import events and pageviews (updated for 9-dimension limit)
     const [eventResponse] = await analytics.runReport({
@@ -62,7 +74,7 @@ async function fetchAndImport() {
         sessionDefaultChannelGroup, pageReferrer, deviceCategory
       ].map(v => v || '').join('|');
       // Find the session
-      const session = await db.googleAnalyticsSession.findUnique({ where: { sessionId: compositeKey } });
+      const session = await db.googleAnalyticsSession.findUnique({ where: { shopId_sessionId: { shopId, sessionId: compositeKey } } });
       if (!session) {
         console.warn('No session found for event, skipping:', { compositeKey, eventName, pagePath, date });
         continue;
@@ -70,6 +82,7 @@ async function fetchAndImport() {
       // Import event, linking to session
       await db.googleAnalyticsEvent.create({
         data: {
+          shopId,
           eventName,
           eventParams: JSON.stringify({ eventCount: eventCountValue, pagePath }),
           eventTime,
@@ -82,6 +95,7 @@ async function fetchAndImport() {
       if (eventName === 'page_view') {
         await db.googleAnalyticsPageview.create({
           data: {
+            shopId,
             pagePath,
             eventTime,
             createdAt: new Date(),
@@ -138,13 +152,14 @@ async function fetchAndImport() {
         sessionDefaultChannelGroup, pageReferrer, deviceCategory
       ].map(v => v || '').join('|');
       // Find the session
-      const session = await db.googleAnalyticsSession.findUnique({ where: { sessionId: compositeKey } });
+      const session = await db.googleAnalyticsSession.findUnique({ where: { shopId_sessionId: { shopId, sessionId: compositeKey } } });
       if (!session) {
         console.warn('No session found for traffic source, skipping:', { compositeKey });
         continue;
       }
       await db.googleAnalyticsTrafficSource.create({
         data: {
+          shopId,
           date: parseDateYYYYMMDD(date),
           source: sessionSource,
           medium: sessionMedium,
@@ -208,7 +223,7 @@ async function fetchAndImport() {
       ].map(v => v || '').join('|');
       try {
         await db.googleAnalyticsSession.upsert({
-          where: { sessionId: compositeKey },
+          where: { shopId_sessionId: { shopId, sessionId: compositeKey } },
           update: {
             sessionStart: date ? parseDateYYYYMMDD(date) : null,
             sessionSource,
@@ -223,6 +238,7 @@ async function fetchAndImport() {
             engagementTime: userEngagementDuration,
           },
           create: {
+            shopId,
             sessionId: compositeKey,
             sessionStart: date ? parseDateYYYYMMDD(date) : null,
             sessionSource,
@@ -276,4 +292,6 @@ async function testTrafficSourceSessionLinkage() {
 }
 
 // For ES modules, just call the main import function
-fetchAndImport(); 
\ No newline at end of file
+const shopId = await getShopId();
+({ client: analytics, propertyId } = await getGa4Client(shopId));
+await fetchAndImport(shopId); 
\ No newline at end of file
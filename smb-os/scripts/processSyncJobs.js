@@ -0,0 +1,35 @@
+import db from '../app/db.server.js';
+import { processSyncJobs } from '../app/services/sync-jobs.server.js';
+
+// Runs sync jobs that were queued but never started, or whose process died mid-sync.
+// Usage:
+//   node scripts/processSyncJobs.js           # run pending jobs once and exit
+//   node scripts/processSyncJobs.js --watch   # keep polling for new jobs
+const watch = process.argv.includes('--watch');
+const pollIntervalMs = parseInt(process.env.SYNC_JOB_POLL_MS) || 10000;
+
+let stopping = false;
+process.on('SIGINT', () => { stopping = true; });
+process.on('SIGTERM', () => { stopping = true; });
+
+async function main() {
+  do {
+    const results = await processSyncJobs();
+    if (results.processed > 0) {
+      console.log(`✅ Ran ${results.processed} sync jobs (${results.completed} completed, ${results.failed} failed, ${results.cancelled} cancelled)`);
+    }
+
+    if (watch && !stopping) {
+      await new Promise(resolve => setTimeout(resolve, pollIntervalMs));
+    }
+  } while (watch && !stopping);
+}
+
+try {
+  await main();
+} catch (err) {
+  console.error('Error processing sync jobs:', err);
+  process.exitCode = 1;
+} finally {
+  await db.$disconnect();
+}
@@ -1,28 +1,36 @@
-import fs from 'fs/promises';
-import path from 'path';
+import db from '../app/db.server.js';
+import { processWebhookQueue, getWebhookQueueStats } from '../app/services/webhook-queue.server.js';
 
-const queuePath = path.resolve('./webhook-queue-products-create.jsonl');
+// Usage:
+//   node scripts/processWebhookQueue.js           # drain due events once and exit
+//   node scripts/processWebhookQueue.js --watch   # keep polling for new and retried events
+const watch = process.argv.includes('--watch');
+const pollIntervalMs = parseInt(process.env.WEBHOOK_QUEUE_POLL_MS) || 5000;
 
-async function processQueue() {
-  try {
-    const data = await fs.readFile(queuePath, 'utf8');
-    const lines = data.trim().split('\n');
-    for (const line of lines) {
-      if (!line) continue;
-      const record = JSON.parse(line);
-      // Here you would process the webhook (e.g., update your DB)
-      console.log('Processing queued webhook:', record);
+let stopping = false;
+process.on('SIGINT', () => { stopping = true; });
+process.on('SIGTERM', () => { stopping = true; });
+
+async function main() {
+  do {
+    const results = await processWebhookQueue();
+    if (results.processed > 0) {
+      console.log(`✅ Processed ${results.processed} webhook events (${results.completed} completed, ${results.skipped} skipped, ${results.retried} retrying, ${results.dead} dead)`);
     }
-    // Clear the queue after processing
-    await fs.writeFile(queuePath, '', 'utf8');
-    console.log('✅ Queue processed and cleared.');
-  } catch (err) {
-    if (err.code === 'ENOENT') {
-      console.log('No queued webhooks to process.');
-    } else {
-      console.error('Error processing queue:', err);
+
+    if (watch && !stopping) {
+      await new Promise(resolve => setTimeout(resolve, pollIntervalMs));
     }
-  }
+  } while (watch && !stopping);
+
+  console.log('📊 Queue status:', await getWebhookQueueStats());
 }
 
-await processQueue(); 
\ No newline at end of file
+try {
+  await main();
+} catch (err) {
+  console.error('Error processing webhook queue:', err);
+  process.exitCode = 1;
+} finally {
+  await db.$disconnect();
+}
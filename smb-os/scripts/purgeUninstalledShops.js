@@ -0,0 +1,48 @@
+import db from '../app/db.server.js';
+import { purgeDueShops } from '../app/services/shop-purge.server.js';
+
+// Deletes the data of shops that uninstalled the app and whose grace period is over.
+// Usage:
+//   node scripts/purgeUninstalledShops.js           # run due purges once and exit (e.g. from cron)
+//   node scripts/purgeUninstalledShops.js --watch   # keep checking for due purges
+const watch = process.argv.includes('--watch');
+const pollIntervalMs = parseInt(process.env.SHOP_PURGE_POLL_MS) || 60 * 60 * 1000;
+
+let stopping = false;
+// Ends the wait between checks, so a signal doesn't wait out a whole interval
+let wake = null;
+const stop = () => {
+  stopping = true;
+  wake?.();
+};
+process.on('SIGINT', stop);
+process.on('SIGTERM', stop);
+
+async function main() {
+  do {
+    const results = await purgeDueShops();
+    if (results.processed > 0) {
+      console.log(`✅ Ran ${results.processed} shop data purges (${results.completed} completed, ${results.cancelled} cancelled, ${results.failed} failed)`);
+    }
+
+    if (watch && !stopping) {
+      await new Promise(resolve => {
+        const timer = setTimeout(resolve, pollIntervalMs);
+        wake = () => {
+          clearTimeout(timer);
+          resolve();
+        };
+      });
+      wake = null;
+    }
+  } while (watch && !stopping);
+}
+
+try {
+  await main();
+} catch (err) {
+  console.error('Error purging uninstalled shops:', err);
+  process.exitCode = 1;
+} finally {
+  await db.$disconnect();
+}
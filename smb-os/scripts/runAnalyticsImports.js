@@ -0,0 +1,35 @@
+import db from '../app/db.server.js';
+import { runDueAnalyticsImports } from '../app/services/analytics-import.server.js';
+
+// Imports new GA4, Search Console and BigQuery data for every shop that is due.
+// Usage:
+//   node scripts/runAnalyticsImports.js           # run due imports once and exit (e.g. from cron)
+//   node scripts/runAnalyticsImports.js --watch   # keep checking for due imports
+const watch = process.argv.includes('--watch');
+const pollIntervalMs = parseInt(process.env.ANALYTICS_IMPORT_POLL_MS) || 15 * 60 * 1000;
+
+let stopping = false;
+process.on('SIGINT', () => { stopping = true; });
+process.on('SIGTERM', () => { stopping = true; });
+
+async function main() {
+  do {
+    const results = await runDueAnalyticsImports();
+    if (results.processed > 0) {
+      console.log(`✅ Ran ${results.processed} analytics imports (${results.completed} completed, ${results.failed} failed, ${results.skipped} skipped)`);
+    }
+
+    if (watch && !stopping) {
+      await new Promise(resolve => setTimeout(resolve, pollIntervalMs));
+    }
+  } while (watch && !stopping);
+}
+
+try {
+  await main();
+} catch (err) {
+  console.error('Error running analytics imports:', err);
+  process.exitCode = 1;
+} finally {
+  await db.$disconnect();
+}
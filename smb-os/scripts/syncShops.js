@@ -1,12 +1,13 @@
-import { PrismaClient } from '@prisma/client';
 import { shopifyApi, ApiVersion } from '@shopify/shopify-api';
 import dotenv from 'dotenv';
 import path from 'path';
+import prisma from '../app/db.server.js';
+import { normalizeProduct } from '../app/services/product-normalizer.server.js';
+import { upsertProduct } from '../app/services/product-sync.server.js';
+import { getOfflineSession } from '../app/services/session-encryption.server.js';
 
 dotenv.config({ path: path.resolve('./.env') });
 
-const prisma = new PrismaClient();
-
 const shopify = shopifyApi({
   apiKey: process.env.SHOPIFY_API_KEY,
   apiSecretKey: process.env.SHOPIFY_API_SECRET,
@@ -17,7 +18,7 @@ async function syncShop(shop) {
   console.log(`🔄 Syncing shop: ${shop.domain}`);
   try {
     // Get access token for the shop
-    const session = await prisma.session.findFirst({ where: { shop: shop.domain } });
+    const session = await getOfflineSession(shop.domain);
     if (!session) {
       console.warn(`⚠️  No session found for shop: ${shop.domain}`);
       return;
@@ -28,26 +29,7 @@ async function syncShop(shop) {
     // --- PRODUCTS ---
     const products = await client.get({ path: 'products', query: { limit: 250 } });
     for (const product of products.body.products) {
-      await prisma.product.upsert({
-        where: { productId: BigInt(product.id) },
-        update: {
-          title: product.title,
-          handle: product.handle,
-          vendor: product.vendor,
-          status: product.status,
-          updatedAt: new Date(product.updated_at)
-        },
-        create: {
-          productId: BigInt(product.id),
-          shopId: shop.id,
-          title: product.title,
-          handle: product.handle,
-          vendor: product.vendor,
-          status: product.status,
-          createdAt: new Date(product.created_at),
-          updatedAt: new Date(product.updated_at)
-        }
-      });
+      await upsertProduct(shop.id, normalizeProduct(product));
     }
     console.log(`✅ Synced ${products.body.products.length} products for ${shop.domain}`);
 
@@ -129,7 +111,7 @@ async function syncShop(shop) {
 }
 
 async function main() {
-  const shops = await prisma.shop.findMany();
+  const shops = await prisma.shop.findMany({ where: { uninstalledAt: null } });
   for (const shop of shops) {
     await syncShop(shop);
   }
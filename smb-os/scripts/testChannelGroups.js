@@ -0,0 +1,72 @@
+import assert from 'node:assert/strict';
+import { getChannelGroup } from '../app/services/channel-groups.server.js';
+
+// Checks channel grouping against GA4's default channel group precedence, and
+// that a shop's custom rules are applied before the defaults.
+// Usage: node scripts/testChannelGroups.js
+
+// [source, medium, campaign, expected channel group]
+const DEFAULT_CASES = [
+  ['(direct)', '(none)', null, 'Direct'],
+  [null, null, null, 'Direct'],
+  ['google', 'cpc', null, 'Paid Search'],
+  ['google', 'cpc', 'summer-shopping', 'Paid Shopping'],
+  ['google', 'organic', null, 'Organic Search'],
+  ['facebook', 'paid', null, 'Paid Social'],
+  ['l.facebook.com', 'referral', null, 'Organic Social'],
+  ['youtube.com', 'cpv', null, 'Paid Video'],
+  ['shop.app', 'referral', null, 'Organic Shopping'],
+  ['chatgpt.com', 'referral', null, 'AI Assistants'],
+  ['chatgpt.com', '(not set)', null, 'AI Assistants'],
+  ['example.com', 'referral', null, 'Referral'],
+  ['newsletter', 'email', null, 'Email'],
+  ['partner', 'cross-network', 'cross-network', 'Cross-network'],
+  ['example.com', 'banner', null, 'Display'],
+  ['example.com', 'unknown', null, 'Unassigned']
+];
+
+const RULES = [
+  { field: 'source', matchType: 'exact', value: 'google', channelGroup: 'Brand Search' },
+  { field: 'campaignName', matchType: 'starts_with', value: 'INFLUENCER-', channelGroup: 'Influencers' },
+  { field: 'campaignName', matchType: 'contains', value: 'influencer', channelGroup: 'Never reached' }
+];
+
+// [source, medium, campaign, expected channel group] with RULES applied
+const RULE_CASES = [
+  ['google', 'cpc', null, 'Brand Search'],
+  ['Google', 'organic', null, 'Brand Search'],
+  ['instagram', 'paid', 'influencer-spring', 'Influencers'],
+  ['facebook', 'paid', null, 'Paid Social'],
+  ['chatgpt.com', 'referral', null, 'AI Assistants']
+];
+
+function runCases(title, cases, rules) {
+  console.log(title);
+  let failed = 0;
+
+  for (const [source, medium, campaignName, expected] of cases) {
+    const label = `${source} / ${medium}${campaignName ? ` / ${campaignName}` : ''}`;
+    try {
+      assert.equal(getChannelGroup(source, medium, { campaignName, rules }), expected);
+      console.log(`✅ ${label} → ${expected}`);
+    } catch (error) {
+      failed++;
+      console.log(`❌ ${label}: ${error.message}`);
+    }
+  }
+
+  return failed;
+}
+
+function testChannelGroups() {
+  console.log('🧪 Testing channel groups...\n');
+
+  const failed = runCases('GA4 defaults:', DEFAULT_CASES, []) +
+    runCases('\nCustom rules:', RULE_CASES, RULES);
+  const total = DEFAULT_CASES.length + RULE_CASES.length;
+
+  console.log(`\n${failed === 0 ? '✅' : '❌'} ${total - failed}/${total} sessions grouped as expected`);
+  if (failed > 0) process.exitCode = 1;
+}
+
+testChannelGroups();
@@ -0,0 +1,77 @@
+import assert from 'node:assert/strict';
+import { productHandleFromPath, mapProductsByHandle } from '../app/services/product-analytics.server.js';
+
+// Checks that every way GA4 and Search Console report a product page resolves
+// to the product's handle, and that handles resolve to the right product.
+// Usage: node scripts/testProductAnalytics.js
+
+// [page path or URL, expected handle]
+const PATH_CASES = [
+  ['/products/blue-shirt', 'blue-shirt'],
+  ['/collections/summer/products/blue-shirt', 'blue-shirt'],
+  ['/fr-ca/products/blue-shirt', 'blue-shirt'],
+  ['/fr-ca/collections/summer/products/blue-shirt', 'blue-shirt'],
+  ['/products/blue-shirt?variant=42&utm_source=google', 'blue-shirt'],
+  ['/products/blue-shirt#reviews', 'blue-shirt'],
+  ['/products/blue-shirt/', 'blue-shirt'],
+  ['/collections/summer/products/blue-shirt/?view=quick', 'blue-shirt'],
+  ['https://shop.example.com/products/Blue-Shirt', 'blue-shirt'],
+  ['https://shop.example.com/de/collections/all/products/blue-shirt?variant=42', 'blue-shirt'],
+  ['  /products/blue-shirt  ', 'blue-shirt'],
+  ['/products/caf%C3%A9-mug', 'café-mug'],
+  ['/products/%E6%9D%AF%E5%AD%90', '杯子'],
+  ['/products/', null],
+  ['/collections/summer', null],
+  ['/', null],
+  ['/products/caf%E9-mug', null],
+  ['', null],
+  [null, null]
+];
+
+function testProductHandles() {
+  const oldShirt = { id: 1, handle: 'shirt-classic', handles: [{ handle: 'blue-shirt' }] };
+  const newShirt = { id: 2, handle: 'Blue-Shirt', handles: [] };
+  const renamedMug = { id: 3, handle: 'coffee-mug', handles: [{ handle: 'mug' }, { handle: 'Tea-Mug' }] };
+
+  // Listing the reused handle's old owner first or last makes no difference
+  for (const products of [[oldShirt, newShirt, renamedMug], [newShirt, renamedMug, oldShirt]]) {
+    const productsByHandle = mapProductsByHandle(products);
+
+    assert.equal(productsByHandle.get('blue-shirt'), newShirt, 'a current handle beats a reused old one');
+    assert.equal(productsByHandle.get('shirt-classic'), oldShirt);
+    assert.equal(productsByHandle.get('coffee-mug'), renamedMug);
+    assert.equal(productsByHandle.get('mug'), renamedMug);
+    assert.equal(productsByHandle.get('tea-mug'), renamedMug);
+    assert.equal(productsByHandle.get(productHandleFromPath('/fr/collections/mugs/products/Tea-Mug/')), renamedMug);
+  }
+}
+
+function testProductAnalytics() {
+  console.log('🧪 Testing product page paths...\n');
+
+  let failed = 0;
+
+  for (const [path, expected] of PATH_CASES) {
+    try {
+      assert.equal(productHandleFromPath(path), expected);
+      console.log(`✅ ${JSON.stringify(path)} → ${expected}`);
+    } catch (error) {
+      failed++;
+      console.log(`❌ ${JSON.stringify(path)}: ${error.message}`);
+    }
+  }
+
+  try {
+    testProductHandles();
+    console.log('✅ Current handles win over reused old handles');
+  } catch (error) {
+    failed++;
+    console.log(`❌ Handle lookup: ${error.message}`);
+  }
+
+  const total = PATH_CASES.length + 1;
+  console.log(`\n${failed === 0 ? '✅' : '❌'} ${total - failed}/${total} checks passed`);
+  if (failed > 0) process.exitCode = 1;
+}
+
+testProductAnalytics();
@@ -0,0 +1,146 @@
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { normalizeProduct } from '../app/services/product-normalizer.server.js';
+
+// Checks that every product payload shape normalizes to the same canonical record.
+// Fixtures are real products/create deliveries captured from a dev store.
+// Usage: node scripts/testProductNormalizer.js
+
+const fixturePath = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'products-create-webhooks.jsonl');
+
+function loadFixtures() {
+  return fs.readFileSync(fixturePath, 'utf8')
+    .split('\n')
+    .filter(line => line.trim())
+    .map(line => JSON.parse(line));
+}
+
+// REST Admin API resources are the webhook payload minus the webhook-only fields
+function toRestResource(payload) {
+  const { admin_graphql_api_id, variant_gids, has_variants_that_requires_components, ...resource } = payload;
+  return {
+    ...resource,
+    variants: resource.variants.map(({ admin_graphql_api_id, ...variant }) => variant),
+    images: resource.images.map(({ admin_graphql_api_id, ...image }) => image)
+  };
+}
+
+// The same product as InitialSyncService would receive it from the GraphQL Admin API
+function toGraphQLNode(payload) {
+  return {
+    id: `gid://shopify/Product/${payload.id}`,
+    title: payload.title,
+    handle: payload.handle,
+    vendor: payload.vendor,
+    productType: payload.product_type,
+    descriptionHtml: payload.body_html,
+    tags: payload.tags ? payload.tags.split(',').map(tag => tag.trim()) : [],
+    options: payload.options.map(({ name, position, values }) => ({ name, position, values })),
+    status: payload.status.toUpperCase(),
+    createdAt: new Date(payload.created_at).toISOString(),
+    updatedAt: new Date(payload.updated_at).toISOString(),
+    variants: {
+      edges: payload.variants.map(variant => ({
+        node: {
+          id: `gid://shopify/ProductVariant/${variant.id}`,
+          title: variant.title,
+          price: variant.price,
+          sku: variant.sku,
+          inventoryQuantity: variant.inventory_quantity,
+          inventoryItem: { id: `gid://shopify/InventoryItem/${variant.inventory_item_id}` },
+          createdAt: new Date(variant.created_at).toISOString(),
+          updatedAt: new Date(variant.updated_at).toISOString()
+        }
+      }))
+    },
+    images: {
+      edges: payload.images.map(image => ({
+        node: {
+          id: `gid://shopify/ProductImage/${image.id}`,
+          altText: image.alt,
+          width: image.width,
+          height: image.height,
+          url: image.src
+        }
+      }))
+    }
+  };
+}
+
+function checkCanonicalRecord(record, payload) {
+  assert.equal(record.productId, BigInt(payload.id));
+  assert.equal(record.title, payload.title);
+  assert.equal(record.handle, payload.handle);
+  assert.equal(record.status, payload.status.toLowerCase());
+  assert.equal(record.descriptionHtml, payload.body_html || null);
+  assert.deepEqual(record.options.map(option => option.name), payload.options.map(option => option.name));
+  assert.equal(record.createdAt.getTime(), new Date(payload.created_at).getTime());
+  assert.equal(record.updatedAt.getTime(), new Date(payload.updated_at).getTime());
+  assert.equal(record.variants.length, payload.variants.length);
+  assert.equal(record.images.length, payload.images.length);
+
+  record.variants.forEach((variant, index) => {
+    assert.equal(variant.variantId, BigInt(payload.variants[index].id));
+    assert.equal(variant.price, parseFloat(payload.variants[index].price));
+    assert.equal(typeof variant.price, 'number');
+  });
+}
+
+function testProductNormalizer() {
+  console.log('🧪 Testing product normalizer...\n');
+
+  const fixtures = loadFixtures();
+
+  // The captured deliveries have no images, so add one to a copy of the first to cover image mapping
+  const withImage = structuredClone(fixtures[0]);
+  withImage.payload.images = [{
+    id: 43210987654321,
+    admin_graphql_api_id: 'gid://shopify/ProductImage/43210987654321',
+    alt: 'Front view',
+    width: 1200,
+    height: 800,
+    src: 'https://cdn.shopify.com/s/files/1/test/front.jpg'
+  }];
+  fixtures.push(withImage);
+
+  let failed = 0;
+
+  for (const { payload } of fixtures) {
+    try {
+      const fromWebhook = normalizeProduct(payload);
+      const fromRestApi = normalizeProduct(toRestResource(payload));
+      const fromGraphQL = normalizeProduct(toGraphQLNode(payload));
+
+      checkCanonicalRecord(fromWebhook, payload);
+      assert.deepEqual(fromRestApi, fromWebhook, 'REST API shape differs from webhook shape');
+      assert.deepEqual(fromGraphQL, fromWebhook, 'GraphQL shape differs from webhook shape');
+
+      console.log(`✅ ${payload.title} (ID: ${payload.id})`);
+    } catch (error) {
+      failed++;
+      console.log(`❌ ${payload.title} (ID: ${payload.id}): ${error.message}`);
+    }
+  }
+
+  // GraphQL nodes that select seo carry it; REST payloads never do
+  const withSeo = normalizeProduct({ ...toGraphQLNode(fixtures[0].payload), seo: { title: 'Front view', description: null } });
+  assert.equal(withSeo.seoTitle, 'Front view');
+  assert.equal(withSeo.seoDescription, null);
+  assert.equal('seoTitle' in normalizeProduct(fixtures[0].payload), false);
+
+  // Tags are split and trimmed the same way from either shape
+  const tagged = { ...fixtures[0].payload, tags: 'summer, sale ,new' };
+  assert.deepEqual(normalizeProduct(tagged).tags, ['summer', 'sale', 'new']);
+  assert.deepEqual(normalizeProduct(toGraphQLNode(tagged)).tags, ['summer', 'sale', 'new']);
+
+  // Missing status defaults to active rather than being stored as null
+  const { status, ...withoutStatus } = fixtures[0].payload;
+  assert.equal(normalizeProduct(withoutStatus).status, 'active');
+
+  console.log(`\n${failed === 0 ? '✅' : '❌'} ${fixtures.length - failed}/${fixtures.length} fixtures normalized consistently`);
+  if (failed > 0) process.exitCode = 1;
+}
+
+testProductNormalizer();
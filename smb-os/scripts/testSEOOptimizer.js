@@ -1,15 +1,25 @@
 import { generateSEOSuggestions, getSEOPerformanceSummary } from '../app/services/ai-seo-optimizer.server.js';
+import db from '../app/db.server.js';
 import dotenv from 'dotenv';
 
 dotenv.config();
 
+// Usage: node scripts/testSEOOptimizer.js <shop-domain>
+const shopDomain = process.argv[2] || process.env.SHOP_DOMAIN;
+
 async function testSEOOptimizer() {
   console.log('🧪 Testing AI SEO Optimizer...\n');
 
+  const shop = shopDomain && await db.shop.findUnique({ where: { domain: shopDomain } });
+  if (!shop) {
+    console.log('❌ Pass the domain of a synced shop as the first argument or set SHOP_DOMAIN');
+    return;
+  }
+
   // Test 1: Get performance summary
   console.log('📊 Testing performance summary...');
   try {
-    const summary = await getSEOPerformanceSummary(30);
+    const summary = await getSEOPerformanceSummary(shop.id, 30);
     
     if (summary.success) {
       console.log('✅ Performance summary retrieved successfully');
@@ -53,7 +63,7 @@ async function testSEOOptimizer() {
 
   try {
     console.log('   Generating AI suggestions (this may take 10-30 seconds)...');
-    const suggestions = await generateSEOSuggestions({
+    const suggestions = await generateSEOSuggestions(shop.id, {
       dateRange: 30,
       minPageViews: 5
     });
@@ -120,4 +130,4 @@ async function testSEOOptimizer() {
 }
 
 // Run the test
-testSEOOptimizer().catch(console.error);
+testSEOOptimizer().catch(console.error).finally(() => db.$disconnect());
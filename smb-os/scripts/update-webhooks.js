@@ -2,6 +2,7 @@ import { shopifyApp } from "@shopify/shopify-app-remix/server";
 import { PrismaSessionStorage } from "@shopify/shopify-app-session-storage-prisma";
 import prisma from "../app/db.server.js";
 import { registerWebhooks } from "../app/webhook-registration.js";
+import { EncryptedSessionStorage, getOfflineSession } from "../app/services/session-encryption.server.js";
 
 // Get the new URL from command line argument or environment
 const newUrl = process.argv[2] || process.env.SHOPIFY_APP_URL;
@@ -24,13 +25,13 @@ const shopify = shopifyApp({
   scopes: process.env.SCOPES?.split(","),
   appUrl: newUrl,
   authPathPrefix: "/auth",
-  sessionStorage: new PrismaSessionStorage(prisma),
+  sessionStorage: new EncryptedSessionStorage(new PrismaSessionStorage(prisma)),
 });
 
 async function updateWebhooksForAllShops() {
   try {
     // Get all shops from database
-    const shops = await prisma.shop.findMany();
+    const shops = await prisma.shop.findMany({ where: { uninstalledAt: null } });
     
     if (shops.length === 0) {
       console.log("⚠️  No shops found in database. Make sure your app is installed on at least one shop.");
@@ -44,9 +45,7 @@ async function updateWebhooksForAllShops() {
       
       try {
         // Get session for this shop
-        const session = await prisma.session.findFirst({
-          where: { shop: shop.domain }
-        });
+        const session = await getOfflineSession(shop.domain);
 
         if (!session) {
           console.log(`⚠️  No session found for shop ${shop.domain}, skipping`);